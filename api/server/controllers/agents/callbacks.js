@@ -1,7 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
 const { nanoid } = require('nanoid');
 const { sendEvent } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
-const { Tools, StepTypes, FileContext, ErrorTypes } = require('librechat-data-provider');
+const { Tools, Constants, StepTypes, FileContext, ErrorTypes } = require('librechat-data-provider');
 const {
   EnvVar,
   Providers,
@@ -10,21 +14,392 @@ const {
   ToolEndHandler,
   handleToolCalls,
   ChatModelStreamHandler,
+  HOOK_STOP_CONTINUATION_CAPABLE,
 } = require('@librechat/agents');
 const { processFileCitations } = require('~/server/services/Files/Citations');
 const { processCodeOutput } = require('~/server/services/Files/Code/process');
 const { loadAuthValues } = require('~/server/services/Tools/credentials');
 const { saveBase64Image } = require('~/server/services/Files/process');
+const { Message } = require('~/db/models');
+const { createRunTrace } = require('./tracing');
+
+/** The LibreChat config file; `modelSpecs.runtime` and per-spec `runtime` blocks live here. */
+const CONFIG_PATH =
+  process.env.CONFIG_PATH || path.resolve(__dirname, '..', '..', '..', '..', 'librechat.yaml');
+
+/** Default number of corrective retries after a premature stop. */
+const PREMATURE_STOP_MAX_RETRIES = 2;
+
+/** Continuation sent to the model when it narrates tool use instead of calling the tools. */
+const PREMATURE_STOP_CONTINUATION =
+  'You described the tool calls you were going to make, but you did not make them. ' +
+  'Call the tools now, without repeating your explanation.';
+
+/** Matches narrated intent ("I'll use the query tool…") near the end of a response. */
+const PREMATURE_STOP_INTENT =
+  /\b(I'll|I will|I'm going to|I am going to|Let me|Let's|Next,? I|Now,? I)\b/i;
+
+/**
+ * @typedef {Object} RuntimeConfig
+ * @property {Record<string, Record<string, unknown>>} providers - Settings by provider.
+ * @property {Array<{ endpoint?: string, model?: string, runtime: Record<string, unknown> }>} specs
+ * @property {Record<string, string>} mcpServers - MCP server URLs by server name.
+ */
+
+/** Halt reason of runs stopped by the tool call guard. */
+const TOOL_CALL_LIMIT_STOP = 'tool_call_limit';
+
+/** Default per-run tool call limits; `toolCallLimits` runtime settings override them. */
+const TOOL_CALL_LIMITS = {
+  /** Tool calls allowed in one run. */
+  maxToolCalls: 50,
+  /** Calls with the same tool and arguments allowed in one run. */
+  maxIdenticalCalls: 3,
+};
+
+/** @type {RuntimeConfig | undefined} */
+let runtimeConfig;
+
+/** Runtime settings already reported as unsupported, so each is logged once per process. */
+const unsupportedSettings = new Set();
+
+/**
+ * Logs that a configured runtime setting can't take effect in this deployment.
+ * @param {string} key - The setting name.
+ * @param {string} reason
+ */
+function warnUnsupportedSetting(key, reason) {
+  if (unsupportedSettings.has(key)) {
+    return;
+  }
+  unsupportedSettings.add(key);
+  logger.warn(`[callbacks] The ${key} runtime setting is ignored: ${reason}`);
+}
+
+/**
+ * Reads the agent runtime settings from `librechat.yaml`. LibreChat's own config schema
+ * drops these keys, so they are read from the file directly, once per process.
+ * @returns {RuntimeConfig}
+ */
+function loadRuntimeConfig() {
+  if (runtimeConfig) {
+    return runtimeConfig;
+  }
+  runtimeConfig = { providers: {}, specs: [], mcpServers: {} };
+  try {
+    const config = yaml.load(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    const modelSpecs = config?.modelSpecs ?? {};
+    runtimeConfig.providers = modelSpecs.runtime ?? {};
+    runtimeConfig.specs = (modelSpecs.list ?? [])
+      .filter((spec) => spec?.runtime)
+      .map((spec) => ({
+        endpoint: spec.preset?.endpoint,
+        model: spec.preset?.model,
+        runtime: spec.runtime,
+      }));
+    runtimeConfig.mcpServers = Object.fromEntries(
+      Object.entries(config?.mcpServers ?? {})
+        .filter(([, server]) => server?.url)
+        .map(([name, server]) => [name, server.url]),
+    );
+  } catch (error) {
+    logger.warn(`[callbacks] Could not read runtime settings from ${CONFIG_PATH}`, error);
+  }
+  return runtimeConfig;
+}
+
+/**
+ * Resolves a runtime setting for an agent. The `runtime` block of the model spec matching
+ * the agent's model takes precedence over the provider default in `modelSpecs.runtime`.
+ * @param {AgentContext} agentContext
+ * @param {string} key - The setting name, e.g. `prematureStopRecovery`.
+ * @returns {Record<string, unknown> | undefined} The merged setting, if configured.
+ */
+function getRuntimeSetting(agentContext, key) {
+  const { providers, specs } = loadRuntimeConfig();
+  const provider = agentContext?.provider;
+  const model = agentContext?.clientOptions?.model ?? agentContext?.clientOptions?.modelName;
+  const spec = specs.find((s) => s.model === model && (!s.endpoint || s.endpoint === provider));
+  const providerSetting = providers[provider]?.[key];
+  const specSetting = spec?.runtime?.[key];
+  if (providerSetting == null && specSetting == null) {
+    return;
+  }
+  return { ...providerSetting, ...specSetting };
+}
+
+/**
+ * @param {string | MessageContentComplex[] | undefined} content
+ * @returns {string} The text parts of a message's content.
+ */
+function getTextContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .filter((part) => part?.type === 'text' && typeof part.text === 'string')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+/**
+ * Running token totals and estimated cost of one response message, across all of its
+ * model turns. Prices come from the `pricing` runtime setting of each turn's model, in
+ * USD per million tokens: `{ input, output, cacheRead, cacheWrite }`. Cache prices
+ * default to the input price.
+ */
+class MessageUsage {
+  constructor() {
+    this.totals = {
+      input_tokens: 0,
+      output_tokens: 0,
+      cache_read_tokens: 0,
+      cache_write_tokens: 0,
+      reasoning_tokens: 0,
+    };
+    /** Estimated cost in USD, or `null` once a turn's model has no price configured. */
+    this.cost = 0;
+  }
+
+  /**
+   * Adds a model turn to the totals.
+   * @param {UsageMetadata} usage - `input_tokens` includes cached input, as in LangChain.
+   * @param {{ input?: number, output?: number, cacheRead?: number, cacheWrite?: number } | undefined} pricing
+   * @returns {Record<string, number | null>} The turn's tokens and estimated cost.
+   */
+  add(usage, pricing) {
+    const turn = {
+      input_tokens: usage.input_tokens ?? 0,
+      output_tokens: usage.output_tokens ?? 0,
+      cache_read_tokens: usage.input_token_details?.cache_read ?? 0,
+      cache_write_tokens: usage.input_token_details?.cache_creation ?? 0,
+      reasoning_tokens: usage.output_token_details?.reasoning ?? 0,
+      cost: null,
+    };
+    for (const key of Object.keys(this.totals)) {
+      this.totals[key] += turn[key];
+    }
+    if (pricing?.input != null && pricing?.output != null) {
+      const uncachedInput = turn.input_tokens - turn.cache_read_tokens - turn.cache_write_tokens;
+      turn.cost =
+        (Math.max(uncachedInput, 0) * pricing.input +
+          turn.cache_read_tokens * (pricing.cacheRead ?? pricing.input) +
+          turn.cache_write_tokens * (pricing.cacheWrite ?? pricing.input) +
+          turn.output_tokens * pricing.output) /
+        1e6;
+    }
+    this.cost = this.cost == null || turn.cost == null ? null : this.cost + turn.cost;
+    return turn;
+  }
+
+  /** @returns {Record<string, number | string | null>} The totals as stored on the message. */
+  toJSON() {
+    return { ...this.totals, cost: this.cost, currency: 'USD' };
+  }
+}
+
+/** Delays before retrying to store run data on a response message that isn't saved yet. */
+const SAVE_RETRY_DELAYS_MS = [1000, 5000];
+
+/**
+ * Stores run data on the response message. Only a message LibreChat has saved is
+ * updated, so a run that fails before its response is saved leaves no stray document;
+ * the message may still be being saved when the response closes, so a miss is retried.
+ * @param {{ messageId: string, user?: string }} message
+ * @param {Record<string, unknown>} fields
+ * @returns {Promise<void>}
+ */
+async function saveToMessage({ messageId, user }, fields) {
+  if (!messageId || !user) {
+    return;
+  }
+  try {
+    for (const delay of [0, ...SAVE_RETRY_DELAYS_MS]) {
+      if (delay) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      const result = await Message.updateOne(
+        { messageId, user },
+        { $set: fields },
+        { strict: false },
+      );
+      if (result.matchedCount > 0) {
+        return;
+      }
+    }
+    logger.debug(`[callbacks] No saved message ${messageId} to store run data on`);
+  } catch (error) {
+    logger.error('[callbacks] Could not store run data on the message:', error);
+  }
+}
+
+/**
+ * @param {string} [name] - A tool name; MCP tools are named `<tool>_mcp_<server>`.
+ * @returns {{ tool: string, mcpServer: string | null }}
+ */
+function parseToolName(name = '') {
+  const index = name.indexOf(Constants.mcp_delimiter);
+  if (index === -1) {
+    return { tool: name, mcpServer: null };
+  }
+  return {
+    tool: name.slice(0, index),
+    mcpServer: name.slice(index + Constants.mcp_delimiter.length),
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} JSON with object keys sorted, so equal arguments serialize equally.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Guards a run against tool call loops. Every tool call the model makes is counted by
+ * name and argument hash before it runs: a repeated call gets a warning added to the
+ * model's context after its tool batch, and a call over the run's tool call budget, or
+ * repeating a call too often, is blocked and stops the run.
+ *
+ * The guard runs as the run's `PreToolUse` and `PostToolBatch` hooks, so the warning is
+ * part of the graph state the next model call reads. Without a hook registry it falls
+ * back to checking each model turn's tool calls in `CHAT_MODEL_END`, which can stop the
+ * run but not warn the model.
+ */
+class ToolCallGuard {
+  constructor() {
+    this.toolCallCount = 0;
+    /** @type {Map<string, number>} Calls made, by tool name and argument hash. */
+    this.callCounts = new Map();
+    /** @type {Map<string, string>} Warnings to add after each tool batch, by tool call ID. */
+    this.warnings = new Map();
+    /** @type {{ maxToolCalls?: number, maxIdenticalCalls?: number } | undefined} */
+    this.limits = undefined;
+    /** Whether the guard runs as run hooks. */
+    this.hooked = false;
+    /** @type {string | undefined} Why the run was stopped, once it was. */
+    this.stopReason = undefined;
+    /** @type {string | undefined} The tool call that was blocked to stop the run. */
+    this.stoppedToolCallId = undefined;
+  }
+
+  /**
+   * Records a tool call.
+   * @param {{ id?: string, name: string, args?: Record<string, unknown> }} toolCall
+   * @param {{ maxToolCalls?: number, maxIdenticalCalls?: number }} [limits]
+   * @returns {string | undefined} Why the run must stop, if a limit was exceeded.
+   */
+  record(toolCall, limits) {
+    const { maxToolCalls, maxIdenticalCalls } = { ...TOOL_CALL_LIMITS, ...limits };
+    this.toolCallCount += 1;
+    const argsHash = crypto
+      .createHash('sha256')
+      .update(stableStringify(toolCall.args ?? {}))
+      .digest('hex');
+    const key = `${toolCall.name}:${argsHash}`;
+    const count = (this.callCounts.get(key) ?? 0) + 1;
+    this.callCounts.set(key, count);
+
+    if (count > maxIdenticalCalls) {
+      return `The model called ${toolCall.name} with the same arguments ${count} times, so the run was stopped (the limit is ${maxIdenticalCalls}).`;
+    }
+    if (this.toolCallCount > maxToolCalls) {
+      return `The model made more than ${maxToolCalls} tool calls in this response, so the run was stopped.`;
+    }
+    if (count > 1 && toolCall.id) {
+      this.warnings.set(
+        toolCall.id,
+        `[Warning: this is call ${count} of ${toolCall.name} with these exact arguments in this response. ` +
+          `Do not call it again with the same arguments: use the result you already have, change the arguments, or answer the user. ` +
+          `The run is stopped after ${maxIdenticalCalls} identical calls.]`,
+      );
+    }
+  }
+
+  /**
+   * `PreToolUse` hook: counts the call, and blocks it and halts the run once a limit is
+   * exceeded.
+   * @param {PreToolUseHookInput} input
+   * @returns {PreToolUseHookOutput}
+   */
+  preToolUse(input) {
+    const stopReason = this.record(
+      { id: input.toolUseId, name: input.toolName, args: input.toolInput },
+      this.limits,
+    );
+    if (!stopReason) {
+      return {};
+    }
+    if (!this.stopReason) {
+      this.stopReason = stopReason;
+      this.stoppedToolCallId = input.toolUseId;
+      logger.warn(`[ToolCallGuard] Stopping run: ${stopReason}`, { runId: input.runId });
+    }
+    return {
+      decision: 'deny',
+      reason: stopReason,
+      preventContinuation: true,
+      stopReason: TOOL_CALL_LIMIT_STOP,
+    };
+  }
+
+  /**
+   * `PostToolBatch` hook: adds the batch's repeat warnings to the context of the next
+   * model call.
+   * @param {PostToolBatchHookInput} input
+   * @returns {PostToolBatchHookOutput}
+   */
+  postToolBatch(input) {
+    const warnings = [];
+    for (const { toolUseId } of input.entries) {
+      const warning = this.warnings.get(toolUseId);
+      if (warning) {
+        this.warnings.delete(toolUseId);
+        warnings.push(warning);
+      }
+    }
+    return warnings.length > 0 ? { additionalContext: warnings.join('\n') } : {};
+  }
+}
 
 class ModelEndHandler {
   /**
    * @param {Array<UsageMetadata>} collectedUsage
+   * @param {Object} [options]
+   * @param {ServerResponse} [options.res] - Used to report premature stop retries.
+   * @param {RunTrace} [options.runTrace] - Records model turns when tracing is enabled.
+   * @param {MessageUsage} [options.messageUsage] - Running usage, streamed after each turn.
+   * @param {ToolCallGuard} [options.toolCallGuard] - Stops runs that loop on tool calls.
    */
-  constructor(collectedUsage) {
+  constructor(collectedUsage, { res, runTrace, messageUsage, toolCallGuard } = {}) {
     if (!Array.isArray(collectedUsage)) {
       throw new Error('collectedUsage must be an array');
     }
     this.collectedUsage = collectedUsage;
+    this.res = res;
+    this.runTrace = runTrace;
+    this.messageUsage = messageUsage;
+    this.toolCallGuard = toolCallGuard;
+    /** Premature stop retries made so far in this run. */
+    this.recoveryAttempts = 0;
+    /**
+     * Set when the latest model turn stopped prematurely, for the `Stop` hook to act on.
+     * @type {{ recovery: Record<string, unknown>, metadata: Record<string, unknown> } | undefined}
+     */
+    this.pendingRecovery = undefined;
   }
 
   finalize(errorMessage) {
@@ -49,14 +424,18 @@ class ModelEndHandler {
 
     /** @type {string | undefined} */
     let errorMessage;
+    /** @type {string | undefined} */
+    let errorType;
+    this.pendingRecovery = undefined;
     try {
       const agentContext = graph.getAgentContext(metadata);
       const isGoogle = agentContext.provider === Providers.GOOGLE;
       const streamingDisabled = !!agentContext.clientOptions?.disableStreaming;
       if (data?.output?.additional_kwargs?.stop_reason === 'refusal') {
         const info = { ...data.output.additional_kwargs };
+        errorType = ErrorTypes.REFUSAL;
         errorMessage = JSON.stringify({
-          type: ErrorTypes.REFUSAL,
+          type: errorType,
           info,
         });
         logger.debug(`[ModelEndHandler] Model refused to respond`, {
@@ -68,6 +447,29 @@ class ModelEndHandler {
       }
 
       const toolCalls = data?.output?.tool_calls;
+      if (
+        !errorMessage &&
+        this.toolCallGuard &&
+        !this.toolCallGuard.hooked &&
+        Array.isArray(toolCalls)
+      ) {
+        const limits = getRuntimeSetting(agentContext, 'toolCallLimits');
+        for (const toolCall of toolCalls) {
+          const stopReason = this.toolCallGuard.record(toolCall, limits);
+          if (stopReason) {
+            // A plain message: LibreChat shows it to the user in the run's error part
+            errorType = TOOL_CALL_LIMIT_STOP;
+            errorMessage = stopReason;
+            logger.warn(`[ModelEndHandler] Stopping run: ${stopReason}`, {
+              userId: metadata.user_id,
+              messageId: metadata.run_id,
+              conversationId: metadata.thread_id,
+            });
+            break;
+          }
+        }
+      }
+
       let hasUnprocessedToolCalls = false;
       if (Array.isArray(toolCalls) && toolCalls.length > 0 && graph?.toolCallStepIds?.has) {
         try {
@@ -93,6 +495,7 @@ class ModelEndHandler {
           ? JSON.stringify(data?.output?.content).length
           : 0;
       const outputTokens = data?.output?.usage_metadata?.output_tokens || 0;
+      const toolNames = toolCalls?.map(tc => tc?.name).filter(Boolean) || [];
 
       // Detect potential premature stop: high token output with no tool calls
       const isPrematureStop = toolCallCount === 0 && outputTokens > 500;
@@ -107,7 +510,7 @@ class ModelEndHandler {
         model: metadata?.ls_model_name || agentContext.clientOptions?.model,
         finishReason,
         toolCallCount,
-        toolNames: toolCalls?.map(tc => tc?.name).filter(Boolean) || [],
+        toolNames,
         outputTokens,
         contentLength,
         memoryMB,
@@ -118,17 +521,34 @@ class ModelEndHandler {
           : undefined,
       });
 
+      /** @type {Record<string, unknown> | undefined} */
+      let recovery;
       if (isPrematureStop) {
+        recovery = getRuntimeSetting(agentContext, 'prematureStopRecovery');
+        if (recovery?.enabled === false) {
+          recovery = undefined;
+        }
         logger.warn('[ModelEndHandler] ⚠️ PREMATURE STOP DETECTED', {
           conversationId: metadata.thread_id,
           outputTokens,
           finishReason,
           memoryMB,
+          recovery: !!recovery,
           hint: 'Model generated text instead of calling tools. Check context size and tool availability.',
         });
       }
       // === END DIAGNOSTIC LOGGING ===
 
+      this.runTrace?.modelTurn({
+        metadata,
+        provider: agentContext.provider,
+        model: metadata?.ls_model_name || agentContext.clientOptions?.model,
+        finishReason,
+        usage: data?.output?.usage_metadata,
+        toolNames,
+        error: errorType,
+      });
+
       const usage = data?.output?.usage_metadata;
       if (!usage) {
         return this.finalize(errorMessage);
@@ -139,43 +559,141 @@ class ModelEndHandler {
       }
 
       this.collectedUsage.push(usage);
-      if (!streamingDisabled) {
-        return this.finalize(errorMessage);
-      }
-      if (!data.output.content) {
-        return this.finalize(errorMessage);
-      }
-      const stepKey = graph.getStepKey(metadata);
-      const message_id = getMessageId(stepKey, graph) ?? '';
-      if (message_id) {
-        await graph.dispatchRunStep(stepKey, {
-          type: StepTypes.MESSAGE_CREATION,
-          message_creation: {
-            message_id,
-          },
-        });
+      if (this.messageUsage) {
+        this.sendUsage(usage, modelName, agentContext, metadata);
       }
-      const stepId = graph.getStepIdByKey(stepKey);
-      const content = data.output.content;
-      if (typeof content === 'string') {
-        await graph.dispatchMessageDelta(stepId, {
-          content: [
-            {
-              type: 'text',
-              text: content,
+      if (streamingDisabled && data.output.content) {
+        const stepKey = graph.getStepKey(metadata);
+        const message_id = getMessageId(stepKey, graph) ?? '';
+        if (message_id) {
+          await graph.dispatchRunStep(stepKey, {
+            type: StepTypes.MESSAGE_CREATION,
+            message_creation: {
+              message_id,
             },
-          ],
-        });
-      } else if (content.every((c) => c.type?.startsWith('text'))) {
-        await graph.dispatchMessageDelta(stepId, {
-          content,
-        });
+          });
+        }
+        const stepId = graph.getStepIdByKey(stepKey);
+        const content = data.output.content;
+        if (typeof content === 'string') {
+          await graph.dispatchMessageDelta(stepId, {
+            content: [
+              {
+                type: 'text',
+                text: content,
+              },
+            ],
+          });
+        } else if (content.every((c) => c.type?.startsWith('text'))) {
+          await graph.dispatchMessageDelta(stepId, {
+            content,
+          });
+        }
       }
+      if (recovery && this.isNarratedIntent(data.output.content, recovery)) {
+        this.pendingRecovery = { recovery, metadata };
+      }
+      return this.finalize(errorMessage);
     } catch (error) {
       logger.error('Error handling model end event:', error);
       return this.finalize(errorMessage);
     }
   }
+
+  /**
+   * Adds a model turn to the message's running usage and streams the totals to the client.
+   * @param {UsageMetadata} usage
+   * @param {string | undefined} model
+   * @param {AgentContext} agentContext
+   * @param {Record<string, unknown>} metadata
+   */
+  sendUsage(usage, model, agentContext, metadata) {
+    const turn = this.messageUsage.add(usage, getRuntimeSetting(agentContext, 'pricing'));
+    if (!this.res) {
+      return;
+    }
+    sendEvent(this.res, {
+      event: 'on_usage_update',
+      data: {
+        runId: metadata.run_id,
+        conversationId: metadata.thread_id,
+        model,
+        turn,
+        usage: this.messageUsage.toJSON(),
+      },
+    });
+  }
+
+  /**
+   * Long final answers also end without tool calls; only narrated intent near the end of
+   * the response counts as a premature stop.
+   * @param {string | MessageContentComplex[]} content
+   * @param {{ intentPattern?: string }} recovery
+   * @returns {boolean}
+   */
+  isNarratedIntent(content, recovery) {
+    const intent = recovery.intentPattern
+      ? new RegExp(recovery.intentPattern, 'i')
+      : PREMATURE_STOP_INTENT;
+    return intent.test(getTextContent(content).slice(-300));
+  }
+
+  /**
+   * `Stop` hook that recovers from a premature stop, where the model narrated the tools it
+   * would call ("I'll use the query tool to…") and ended its turn without calling them.
+   *
+   * Blocking the stop makes the run continue in the same stream with a corrective
+   * message, so the retry's steps, tool calls and usage reach the handlers like any other
+   * turn, and a retry that stops early again is retried until `maxRetries` is reached.
+   *
+   * @param {StopHookInput} input
+   * @returns {StopHookOutput}
+   */
+  continueAfterPrematureStop(input) {
+    const pending = this.pendingRecovery;
+    this.pendingRecovery = undefined;
+    if (!pending || input.stopReason != null) {
+      return {};
+    }
+    const { recovery, metadata } = pending;
+    const maxRetries = recovery.maxRetries ?? PREMATURE_STOP_MAX_RETRIES;
+    if (this.recoveryAttempts >= maxRetries || input.continuationBudgetRemaining <= 0) {
+      logger.warn('[ModelEndHandler] Premature stop recovery exhausted', {
+        conversationId: metadata.thread_id,
+        attempts: this.recoveryAttempts,
+      });
+      return {};
+    }
+
+    this.recoveryAttempts += 1;
+    const attempt = this.recoveryAttempts;
+    logger.info('[ModelEndHandler] Retrying after premature stop', {
+      conversationId: metadata.thread_id,
+      attempt,
+      maxRetries,
+    });
+    if (this.res) {
+      sendEvent(this.res, {
+        event: 'on_agent_update',
+        data: {
+          runId: metadata.run_id,
+          message: `Model described its tool calls without making them, retrying (${attempt}/${maxRetries})...`,
+        },
+      });
+    }
+    return {
+      decision: 'block',
+      reason: 'premature_stop',
+      injectedMessages: [
+        {
+          role: 'user',
+          content: recovery.message ?? PREMATURE_STOP_CONTINUATION,
+          isMeta: true,
+          source: 'hook',
+        },
+      ],
+    };
+  }
 }
 
 /**
@@ -207,9 +725,176 @@ function getDefaultHandlers({ res, aggregateContent, toolEndCallback, collectedU
       `[getDefaultHandlers] Missing required options: res: ${!res}, aggregateContent: ${!aggregateContent}`,
     );
   }
+  const runTrace = createRunTrace({ res, mcpServers: loadRuntimeConfig().mcpServers });
+  const messageUsage = new MessageUsage();
+  /** Tool calls of the response in the order they completed, stored on the message. */
+  const toolTimeline = [];
+  /** @type {Map<string, number>} Start times of running tool calls, by tool call ID. */
+  const toolCallStarts = new Map();
+  /** @type {Map<string, 'success' | 'error'>} Outcomes of tool calls that have not completed yet. */
+  const toolCallOutcomes = new Map();
+  /** @type {{ messageId: string, user?: string } | undefined} */
+  let responseMessage;
+  res.once('close', () => {
+    if (responseMessage) {
+      saveToMessage(responseMessage, { usage: messageUsage.toJSON(), toolTimeline });
+    }
+  });
+
+  /**
+   * Records the outcome of a tool call from its tool message. Tool hooks report it before
+   * the call completes; the tool end event only arrives after, so it settles the call's
+   * timeline entry instead.
+   * @param {string | undefined} toolCallId
+   * @param {boolean} isError
+   */
+  const recordToolOutcome = (toolCallId, isError) => {
+    if (!toolCallId) {
+      return;
+    }
+    const outcome = isError ? 'error' : 'success';
+    const entry = toolTimeline.find((timed) => timed.toolCallId === toolCallId);
+    if (entry) {
+      entry.outcome = outcome;
+    } else {
+      toolCallOutcomes.set(toolCallId, outcome);
+    }
+  };
+
+  /**
+   * Times a completed tool call from the creation of its run step, and adds it to the
+   * response's tool timeline. The outcome is `null` until the call's tool message is known.
+   * @param {{ id: string, tool_call: { id?: string, name?: string } }} result
+   * @returns {{ tool: string, mcpServer: string | null, startedAt: string | null, durationMs: number | null, outcome: 'success' | 'error' | null }}
+   */
+  const timeToolCall = (result) => {
+    const { id: toolCallId, name } = result.tool_call;
+    const startedAt = toolCallStarts.get(toolCallId);
+    toolCallStarts.delete(toolCallId);
+    const outcome =
+      toolCallId === toolCallGuard.stoppedToolCallId
+        ? 'error'
+        : (toolCallOutcomes.get(toolCallId) ?? null);
+    toolCallOutcomes.delete(toolCallId);
+    const timing = {
+      ...parseToolName(name),
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      durationMs: startedAt ? Date.now() - startedAt : null,
+      outcome,
+    };
+    toolTimeline.push({ toolCallId, stepId: result.id, ...timing });
+    logger.debug('[callbacks] Tool call completed', { toolCallId, ...timing });
+    return timing;
+  };
+
+  const toolCallGuard = new ToolCallGuard();
+  const modelEndHandler = new ModelEndHandler(collectedUsage, {
+    res,
+    runTrace,
+    messageUsage,
+    toolCallGuard,
+  });
+
+  /** @type {Record<string, unknown> | undefined} Metadata of the latest tool call run step. */
+  let toolStepMetadata;
+
+  /**
+   * Adds the tool call guard's stop reason to the response as a text part, under the step
+   * key of the turn whose tool call was blocked, so the user sees why the run ended.
+   * @param {StandardGraph} graph
+   * @returns {Promise<void>}
+   */
+  const sendStopNotice = async (graph) => {
+    try {
+      const stepKey = graph.getStepKey(toolStepMetadata);
+      const stepId = await graph.dispatchRunStep(
+        stepKey,
+        {
+          type: StepTypes.MESSAGE_CREATION,
+          message_creation: { message_id: `msg_${nanoid()}` },
+        },
+        toolStepMetadata,
+      );
+      await graph.dispatchMessageDelta(
+        stepId,
+        { content: [{ type: 'text', text: toolCallGuard.stopReason }] },
+        toolStepMetadata,
+      );
+    } catch (error) {
+      logger.error('[callbacks] Could not add the tool call limit notice:', error);
+    }
+  };
+
+  let hooksRegistered = false;
+  /**
+   * Registers the response's run hooks on the run's hook registry, on its first run step
+   * (before any tool call or stop). Hooks act inside the graph, so what they change is
+   * part of the run's state rather than patched onto events after the fact.
+   * @param {StandardGraph | undefined} graph
+   * @param {Record<string, unknown> | undefined} metadata
+   */
+  const registerRunHooks = (graph, metadata) => {
+    if (hooksRegistered || !graph || !metadata?.run_id) {
+      return;
+    }
+    hooksRegistered = true;
+    const agentContext = graph.getAgentContext?.(metadata);
+    const recovery = getRuntimeSetting(agentContext, 'prematureStopRecovery');
+    if (recovery && recovery.enabled !== false) {
+      if (!graph.hookRegistry || !HOOK_STOP_CONTINUATION_CAPABLE) {
+        warnUnsupportedSetting(
+          'prematureStopRecovery',
+          'it needs an agents version with Stop hook continuations and a run hook registry',
+        );
+      } else {
+        graph.hookRegistry.registerSession(metadata.run_id, 'Stop', {
+          hooks: [(input) => modelEndHandler.continueAfterPrematureStop(input)],
+        });
+      }
+    }
+    if (graph.hookRegistry) {
+      toolCallGuard.hooked = true;
+      toolCallGuard.limits = getRuntimeSetting(agentContext, 'toolCallLimits');
+      graph.hookRegistry.registerSession(metadata.run_id, 'PreToolUse', {
+        hooks: [(input) => toolCallGuard.preToolUse(input)],
+      });
+      graph.hookRegistry.registerSession(metadata.run_id, 'PostToolBatch', {
+        hooks: [(input) => toolCallGuard.postToolBatch(input)],
+      });
+      graph.hookRegistry.registerSession(metadata.run_id, 'PostToolUse', {
+        hooks: [
+          (input) => {
+            recordToolOutcome(input.toolUseId, false);
+            return {};
+          },
+        ],
+      });
+      graph.hookRegistry.registerSession(metadata.run_id, 'PostToolUseFailure', {
+        hooks: [
+          (input) => {
+            recordToolOutcome(input.toolUseId, true);
+            return {};
+          },
+        ],
+      });
+    }
+  };
+
+  /** @type {ToolEndCallback} */
+  const onToolEnd = async (data, metadata) => {
+    runTrace?.toolEnd(data);
+    const output = data?.output;
+    if (output?.tool_call_id) {
+      recordToolOutcome(
+        output.tool_call_id,
+        output.status === 'error' || output.artifact?.isError === true,
+      );
+    }
+    await toolEndCallback?.(data, metadata);
+  };
   const handlers = {
-    [GraphEvents.CHAT_MODEL_END]: new ModelEndHandler(collectedUsage),
-    [GraphEvents.TOOL_END]: new ToolEndHandler(toolEndCallback, logger),
+    [GraphEvents.CHAT_MODEL_END]: modelEndHandler,
+    [GraphEvents.TOOL_END]: new ToolEndHandler(onToolEnd, logger),
     [GraphEvents.CHAT_MODEL_STREAM]: new ChatModelStreamHandler(),
     [GraphEvents.ON_RUN_STEP]: {
       /**
@@ -217,9 +902,21 @@ function getDefaultHandlers({ res, aggregateContent, toolEndCallback, collectedU
        * @param {string} event - The event name.
        * @param {StreamEventData} data - The event data.
        * @param {GraphRunnableConfig['configurable']} [metadata] The runnable metadata.
+       * @param {StandardGraph} [graph] The graph of the run.
        */
-      handle: (event, data, metadata) => {
+      handle: (event, data, metadata, graph) => {
+        registerRunHooks(graph, metadata);
+        runTrace?.runStep(data, metadata);
+        if (!responseMessage && metadata?.run_id) {
+          responseMessage = { messageId: metadata.run_id, user: metadata.user_id };
+        }
         if (data?.stepDetails.type === StepTypes.TOOL_CALLS) {
+          toolStepMetadata = metadata;
+          for (const toolCall of data.stepDetails.tool_calls ?? []) {
+            if (toolCall.id && !toolCallStarts.has(toolCall.id)) {
+              toolCallStarts.set(toolCall.id, Date.now());
+            }
+          }
           sendEvent(res, { event, data });
         } else if (checkIfLastAgent(metadata?.last_agent_id, metadata?.langgraph_node)) {
           sendEvent(res, { event, data });
@@ -264,8 +961,13 @@ function getDefaultHandlers({ res, aggregateContent, toolEndCallback, collectedU
        * @param {string} event - The event name.
        * @param {StreamEventData & { result: ToolEndData }} data - The event data.
        * @param {GraphRunnableConfig['configurable']} [metadata] The runnable metadata.
+       * @param {StandardGraph} [graph] The graph of the run.
        */
-      handle: (event, data, metadata) => {
+      handle: (event, data, metadata, graph) => {
+        runTrace?.stepCompleted(data);
+        if (data?.result?.tool_call) {
+          data.result.timing = timeToolCall(data.result);
+        }
         if (data?.result != null) {
           sendEvent(res, { event, data });
         } else if (checkIfLastAgent(metadata?.last_agent_id, metadata?.langgraph_node)) {
@@ -274,6 +976,11 @@ function getDefaultHandlers({ res, aggregateContent, toolEndCallback, collectedU
           sendEvent(res, { event, data });
         }
         aggregateContent({ event, data });
+        const toolCallId = data?.result?.tool_call?.id;
+        if (graph && toolCallId && toolCallId === toolCallGuard.stoppedToolCallId) {
+          toolCallGuard.stoppedToolCallId = undefined;
+          return sendStopNotice(graph);
+        }
       },
     },
     [GraphEvents.ON_MESSAGE_DELTA]: {
@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const diagnosticsChannel = require('diagnostics_channel');
+const { AsyncLocalStorage } = require('async_hooks');
+const { logger } = require('@librechat/data-schemas');
+const { Constants } = require('librechat-data-provider');
+
+/** Default target of the `file` exporter: the API's mounted logs directory. */
+const TRACES_FILE_PATH = path.resolve(__dirname, '..', '..', '..', 'logs', 'traces.jsonl');
+
+/**
+ * The run trace of the current request. Outgoing MCP requests made while a run is in
+ * progress look it up here to attach their trace context headers.
+ * @type {AsyncLocalStorage<RunTrace>}
+ */
+const runTraceStorage = new AsyncLocalStorage();
+
+/** @type {import('@opentelemetry/api').Tracer | null | undefined} */
+let tracer;
+
+/**
+ * Writes spans as OTLP JSON, one export request per line, so traces can be collected
+ * without a running collector (the format matches the collector's file exporter).
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    const { JsonTraceSerializer } = require('@opentelemetry/otlp-transformer');
+    this.serializer = JsonTraceSerializer;
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * @param {ReadableSpan[]} spans
+   * @param {(result: { code: number, error?: Error }) => void} resultCallback
+   */
+  export(spans, resultCallback) {
+    const { ExportResultCode } = require('@opentelemetry/core');
+    const line = Buffer.from(this.serializer.serializeRequest(spans)).toString('utf8');
+    fs.appendFile(this.filePath, line + '\n', (error) =>
+      resultCallback(
+        error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS },
+      ),
+    );
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Creates the span processors for `OTEL_TRACES_EXPORTER`, a comma-separated list of
+ * `otlp`, `file` and `console`. The OTLP exporter reads the standard
+ * `OTEL_EXPORTER_OTLP_*` variables; the file exporter writes to `OTEL_EXPORTER_FILE_PATH`.
+ * @param {string[]} exporters
+ * @returns {SpanProcessor[]}
+ */
+function createSpanProcessors(exporters) {
+  const {
+    BatchSpanProcessor,
+    SimpleSpanProcessor,
+    ConsoleSpanExporter,
+  } = require('@opentelemetry/sdk-trace-base');
+  return exporters.map((name) => {
+    switch (name) {
+      case 'otlp': {
+        const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+        return new BatchSpanProcessor(new OTLPTraceExporter());
+      }
+      case 'file':
+        return new SimpleSpanProcessor(
+          new FileSpanExporter(process.env.OTEL_EXPORTER_FILE_PATH || TRACES_FILE_PATH),
+        );
+      case 'console':
+        return new SimpleSpanProcessor(new ConsoleSpanExporter());
+      default:
+        throw new Error(`Unknown trace exporter "${name}"; use otlp, file or console`);
+    }
+  });
+}
+
+/**
+ * Adds a header to an undici request, across the request shapes of undici versions.
+ * @param {object} request
+ * @param {string} name
+ * @param {string} value
+ */
+function addRequestHeader(request, name, value) {
+  if (typeof request.addHeader === 'function') {
+    request.addHeader(name, value);
+  } else if (Array.isArray(request.headers)) {
+    request.headers.push(name, value);
+  } else {
+    request.headers = `${request.headers ?? ''}${name}: ${value}\r\n`;
+  }
+}
+
+/**
+ * Returns the agent run tracer, setting up tracing on first use. Tracing stays off
+ * (and the OpenTelemetry packages are never loaded) unless `OTEL_TRACES_EXPORTER` is set.
+ * @returns {import('@opentelemetry/api').Tracer | null}
+ */
+function getTracer() {
+  if (tracer !== undefined) {
+    return tracer;
+  }
+  tracer = null;
+  const exporters = (process.env.OTEL_TRACES_EXPORTER ?? '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => name && name !== 'none');
+  if (exporters.length === 0) {
+    return tracer;
+  }
+  try {
+    const { BasicTracerProvider } = require('@opentelemetry/sdk-trace-base');
+    const { resourceFromAttributes } = require('@opentelemetry/resources');
+    const provider = new BasicTracerProvider({
+      resource: resourceFromAttributes({
+        'service.name': process.env.OTEL_SERVICE_NAME || 'librechat',
+      }),
+      spanProcessors: createSpanProcessors(exporters),
+    });
+    tracer = provider.getTracer('librechat-agents');
+    diagnosticsChannel.subscribe('undici:request:create', ({ request }) => {
+      const runTrace = runTraceStorage.getStore();
+      if (!runTrace) {
+        return;
+      }
+      const headers = runTrace.getMcpHeaders(`${request.origin}${request.path}`);
+      for (const [name, value] of Object.entries(headers)) {
+        addRequestHeader(request, name, value);
+      }
+    });
+    logger.info(`[tracing] Exporting agent run traces to: ${exporters.join(', ')}`);
+  } catch (error) {
+    logger.error('[tracing] Could not set up OpenTelemetry tracing:', error);
+  }
+  return tracer;
+}
+
+/**
+ * Traces one agent run: a root span for the run, with child spans for every model turn,
+ * run step and tool call. Spans are built from the run's stream events, so their timing
+ * is as seen by the handlers; a model turn spans from the end of the previous turn or
+ * tool call to its `CHAT_MODEL_END`.
+ */
+class RunTrace {
+  /**
+   * @param {import('@opentelemetry/api').Tracer} tracer
+   * @param {Record<string, string>} mcpServers - MCP server URLs by server name.
+   */
+  constructor(tracer, mcpServers) {
+    const api = require('@opentelemetry/api');
+    const { W3CTraceContextPropagator } = require('@opentelemetry/core');
+    this.api = api;
+    this.propagator = new W3CTraceContextPropagator();
+    this.tracer = tracer;
+    this.mcpServers = mcpServers;
+    this.runSpan = tracer.startSpan('invoke_agent', {
+      attributes: { 'gen_ai.operation.name': 'invoke_agent' },
+    });
+    this.hasMetadata = false;
+    /** When the current model turn started: the run start, or the end of the previous turn or tool call. */
+    this.turnStart = Date.now();
+    /** @type {Map<string, { span: import('@opentelemetry/api').Span, type: string, pending: Set<string> }>} */
+    this.steps = new Map();
+    /** @type {Map<string, { span: import('@opentelemetry/api').Span, stepId: string, server?: string }>} */
+    this.toolCalls = new Map();
+  }
+
+  /**
+   * Adds the run's identifiers to the run span, from the first event that carries them.
+   * @param {Record<string, unknown> | undefined} metadata
+   */
+  setRunMetadata(metadata) {
+    if (this.hasMetadata || !metadata?.run_id) {
+      return;
+    }
+    this.hasMetadata = true;
+    this.runSpan.setAttributes({
+      'gen_ai.conversation.id': metadata.thread_id,
+      'librechat.run_id': metadata.run_id,
+      'librechat.user_id': metadata.user_id,
+    });
+  }
+
+  /**
+   * @param {import('@opentelemetry/api').Span} span
+   * @returns {import('@opentelemetry/api').Context}
+   */
+  contextOf(span) {
+    return this.api.trace.setSpan(this.api.ROOT_CONTEXT, span);
+  }
+
+  /**
+   * Records a finished model turn (`CHAT_MODEL_END`).
+   * @param {Object} turn
+   * @param {Record<string, unknown>} turn.metadata
+   * @param {string} [turn.provider]
+   * @param {string} [turn.model]
+   * @param {string} [turn.finishReason]
+   * @param {UsageMetadata} [turn.usage]
+   * @param {string[]} turn.toolNames
+   * @param {string} [turn.error]
+   */
+  modelTurn({ metadata, provider, model, finishReason, usage, toolNames, error }) {
+    this.setRunMetadata(metadata);
+    const span = this.tracer.startSpan(
+      `chat ${model ?? provider ?? ''}`.trim(),
+      {
+        kind: this.api.SpanKind.CLIENT,
+        startTime: this.turnStart,
+        attributes: {
+          'gen_ai.operation.name': 'chat',
+          'gen_ai.provider.name': provider,
+          'gen_ai.request.model': model,
+          'gen_ai.response.finish_reasons': finishReason ? [finishReason] : undefined,
+          'gen_ai.usage.input_tokens': usage?.input_tokens,
+          'gen_ai.usage.output_tokens': usage?.output_tokens,
+          'gen_ai.usage.cache_read_input_tokens': usage?.input_token_details?.cache_read,
+          'gen_ai.usage.reasoning_tokens': usage?.output_token_details?.reasoning,
+          'librechat.tool_calls': toolNames,
+        },
+      },
+      this.contextOf(this.runSpan),
+    );
+    if (error) {
+      span.setStatus({ code: this.api.SpanStatusCode.ERROR, message: error });
+    }
+    span.end();
+    this.turnStart = Date.now();
+
+    // Message steps are complete once the turn that wrote them has ended
+    for (const [stepId, step] of this.steps) {
+      if (step.type !== 'tool_calls') {
+        step.span.end();
+        this.steps.delete(stepId);
+      }
+    }
+  }
+
+  /**
+   * Starts the spans of a new run step (`ON_RUN_STEP`) and of its tool calls.
+   * @param {RunStep} runStep
+   * @param {Record<string, unknown> | undefined} metadata
+   */
+  runStep(runStep, metadata) {
+    this.setRunMetadata(metadata);
+    if (!runStep?.id || this.steps.has(runStep.id)) {
+      return;
+    }
+    const type = runStep.stepDetails?.type;
+    const span = this.tracer.startSpan(
+      `step ${type}`,
+      {
+        attributes: {
+          'librechat.step.id': runStep.id,
+          'librechat.step.type': type,
+          'librechat.step.index': runStep.index,
+        },
+      },
+      this.contextOf(this.runSpan),
+    );
+    const step = { span, type, pending: new Set() };
+    this.steps.set(runStep.id, step);
+    for (const toolCall of runStep.stepDetails?.tool_calls ?? []) {
+      this.startToolCall(runStep.id, toolCall);
+    }
+  }
+
+  /**
+   * @param {string} stepId
+   * @param {{ id?: string, name?: string }} toolCall
+   */
+  startToolCall(stepId, toolCall) {
+    if (!toolCall?.id || this.toolCalls.has(toolCall.id)) {
+      return;
+    }
+    const step = this.steps.get(stepId);
+    const name = toolCall.name ?? '';
+    const delimiter = name.indexOf(Constants.mcp_delimiter);
+    const server =
+      delimiter > -1 ? name.slice(delimiter + Constants.mcp_delimiter.length) : undefined;
+    const span = this.tracer.startSpan(
+      `execute_tool ${name}`,
+      {
+        attributes: {
+          'gen_ai.operation.name': 'execute_tool',
+          'gen_ai.tool.name': name,
+          'gen_ai.tool.call.id': toolCall.id,
+          'mcp.server': server,
+        },
+      },
+      this.contextOf(step?.span ?? this.runSpan),
+    );
+    step?.pending.add(toolCall.id);
+    this.toolCalls.set(toolCall.id, { span, stepId, server });
+  }
+
+  /**
+   * Records a tool's output (`TOOL_END`) on its tool call span.
+   * @param {ToolEndData} data
+   */
+  toolEnd(data) {
+    const output = data?.output;
+    const toolCall = this.toolCalls.get(output?.tool_call_id);
+    if (!toolCall) {
+      return;
+    }
+    if (output.status === 'error') {
+      toolCall.span.setStatus({ code: this.api.SpanStatusCode.ERROR });
+    }
+    toolCall.span.addEvent('tool_end', { 'gen_ai.tool.name': output.name });
+  }
+
+  /**
+   * Ends a tool call span (`ON_RUN_STEP_COMPLETED`), and its step once all of the
+   * step's tool calls are complete.
+   * @param {{ result?: { id: string, tool_call?: { id?: string, name?: string, output?: string } } }} data
+   */
+  stepCompleted(data) {
+    const result = data?.result;
+    const toolCallId = result?.tool_call?.id;
+    if (!result || !toolCallId) {
+      return;
+    }
+    if (!this.toolCalls.has(toolCallId)) {
+      this.startToolCall(result.id, result.tool_call);
+    }
+    const toolCall = this.toolCalls.get(toolCallId);
+    if (!toolCall) {
+      return;
+    }
+    toolCall.span.end();
+    this.toolCalls.delete(toolCallId);
+    this.turnStart = Date.now();
+
+    const step = this.steps.get(toolCall.stepId);
+    step?.pending.delete(toolCallId);
+    if (step && step.pending.size === 0) {
+      step.span.end();
+      this.steps.delete(toolCall.stepId);
+    }
+  }
+
+  /**
+   * Trace context headers for an outgoing request, if it goes to a configured MCP server.
+   * The parent is that server's most recent open tool call, or the run itself.
+   * @param {string} url
+   * @returns {Record<string, string>}
+   */
+  getMcpHeaders(url) {
+    const server = Object.keys(this.mcpServers).find((name) =>
+      url.startsWith(this.mcpServers[name]),
+    );
+    if (!server) {
+      return {};
+    }
+    let parent = this.runSpan;
+    for (const toolCall of this.toolCalls.values()) {
+      if (toolCall.server === server) {
+        parent = toolCall.span;
+      }
+    }
+    const headers = {};
+    this.propagator.inject(this.contextOf(parent), headers, this.api.defaultTextMapSetter);
+    return headers;
+  }
+
+  /**
+   * Ends the run and any spans still open, e.g. when the client disconnected mid-run.
+   */
+  end() {
+    for (const { span } of this.toolCalls.values()) {
+      span.setAttribute('librechat.incomplete', true);
+      span.end();
+    }
+    for (const { span } of this.steps.values()) {
+      span.end();
+    }
+    this.toolCalls.clear();
+    this.steps.clear();
+    this.runSpan.end();
+  }
+}
+
+/**
+ * Creates the trace for the agent run of the current request, if tracing is enabled.
+ * The run span ends when the response closes.
+ * @param {Object} options
+ * @param {ServerResponse} options.res
+ * @param {Record<string, string>} [options.mcpServers] - MCP server URLs by server name.
+ * @returns {RunTrace | undefined}
+ */
+function createRunTrace({ res, mcpServers = {} }) {
+  const runTracer = getTracer();
+  if (!runTracer) {
+    return;
+  }
+  const runTrace = new RunTrace(runTracer, mcpServers);
+  // The rest of the request, including the run's MCP tool calls, sees this trace
+  runTraceStorage.enterWith(runTrace);
+  res.once('close', () => runTrace.end());
+  return runTrace;
+}
+
+module.exports = {
+  createRunTrace,
+};
@@ -1,40 +1,945 @@
 import express from 'express';
+import { Resvg } from '@resvg/resvg-js';
+import { createHash, randomUUID } from 'node:crypto';
+import { createWriteStream, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
 
 const app = express();
 app.use(express.json());
 
 const LOOKER_BASE_URL = process.env.LOOKER_BASE_URL || 'https://loveholidays.cloud.looker.com';
 const PORT = process.env.PORT || 5001;
+// Public URL clients use to reach this proxy; derived from the request when unset
+const PUBLIC_URL = process.env.PUBLIC_URL?.replace(/\/$/, '');
+const LOOKER_OAUTH_CLIENT_ID = process.env.LOOKER_OAUTH_CLIENT_ID;
+const LOOKER_OAUTH_SCOPE = process.env.LOOKER_OAUTH_SCOPE || 'cors_api';
+const QUERY_POLL_INTERVAL_MS = parseInt(process.env.QUERY_POLL_INTERVAL_MS || '1000', 10);
+const QUERY_POLL_MAX_INTERVAL_MS = parseInt(process.env.QUERY_POLL_MAX_INTERVAL_MS || '5000', 10);
+const QUERY_TASK_TIMEOUT_MS = parseInt(process.env.QUERY_TASK_TIMEOUT_MS || '600000', 10);
+// Approximate token budget for query results returned to the model
+const RESULT_TOKEN_BUDGET = parseInt(process.env.RESULT_TOKEN_BUDGET || '8000', 10);
+const RESULT_FORMATS = ['table', 'csv', 'markdown', 'json'];
+const CHART_TYPES = ['auto', 'line', 'bar', 'stacked_bar', 'pie'];
+const DASHBOARD_TILE_CONCURRENCY = parseInt(process.env.DASHBOARD_TILE_CONCURRENCY || '4', 10);
+const METADATA_CACHE_TTL_MS = parseInt(process.env.METADATA_CACHE_TTL_MS || '300000', 10);
+const METADATA_CACHE_MAX_ENTRIES = parseInt(process.env.METADATA_CACHE_MAX_ENTRIES || '1000', 10);
+const TOOL_POLICY_FILE = process.env.TOOL_POLICY_FILE || new URL('./tool-policy.json', import.meta.url).pathname;
+const PROMPTS_FILE = process.env.PROMPTS_FILE || new URL('./prompts.json', import.meta.url).pathname;
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || new URL('./audit/tool-calls.jsonl', import.meta.url).pathname;
+// Looker user emails allowed to read the audit log through GET /audit
+const AUDIT_ADMINS = (process.env.AUDIT_ADMINS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
 
-// Helper to make Looker API calls directly
-async function lookerApiCall(accessToken, method, path, body = null) {
+// ==================== Looker API client ====================
+
+const LOOKER_API_TIMEOUT_MS = parseInt(process.env.LOOKER_API_TIMEOUT_MS || '60000', 10);
+const LOOKER_API_MAX_RETRIES = parseInt(process.env.LOOKER_API_MAX_RETRIES || '3', 10);
+const LOOKER_API_RETRY_BASE_MS = 500;
+const LOOKER_API_RETRY_MAX_MS = 30000;
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5', 10);
+const CIRCUIT_BREAKER_RESET_MS = parseInt(process.env.CIRCUIT_BREAKER_RESET_MS || '30000', 10);
+// Statuses worth retrying; only GETs are retried on 5xx since other methods may have taken effect
+const RETRYABLE_GET_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_STATUSES = [429, 503];
+
+// Circuit breakers per Looker instance. After CIRCUIT_BREAKER_THRESHOLD consecutive server-side
+// failures the circuit opens and calls fail fast; after CIRCUIT_BREAKER_RESET_MS one trial call
+// is let through (half-open) and its outcome closes or re-opens the circuit.
+const circuitBreakers = new Map();
+
+function circuitBreakerFor(baseUrl) {
+  if (!circuitBreakers.has(baseUrl)) {
+    circuitBreakers.set(baseUrl, { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false });
+  }
+  return circuitBreakers.get(baseUrl);
+}
+
+function checkCircuit(breaker) {
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= CIRCUIT_BREAKER_RESET_MS) {
+    breaker.state = 'half_open';
+  }
+  if (breaker.state === 'open' || (breaker.state === 'half_open' && breaker.trialInFlight)) {
+    const retryIn = Math.max(0, Math.ceil((breaker.openedAt + CIRCUIT_BREAKER_RESET_MS - Date.now()) / 1000));
+    throw new Error(`Looker is currently unavailable (${breaker.consecutiveFailures} consecutive failures). Try again in about ${retryIn || 1}s.`);
+  }
+  if (breaker.state === 'half_open') {
+    breaker.trialInFlight = true;
+  }
+}
+
+function recordCircuitOutcome(breaker, failed) {
+  breaker.trialInFlight = false;
+  if (!failed) {
+    if (breaker.state !== 'closed') {
+      console.log('[Looker API] Circuit closed, Looker is responding again');
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+  breaker.consecutiveFailures++;
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.warn(`[Looker API] Circuit opened after ${breaker.consecutiveFailures} consecutive failures`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// Timeouts, network errors and 5xx mean Looker itself is struggling; 4xx (and 429) do not
+function isServerFailure(error) {
+  return !(error instanceof LookerApiError) || (error.status >= 500 && error.status !== 501);
+}
+
+function isRetryable(method, error) {
+  if (!(error instanceof LookerApiError)) {
+    return method === 'GET';
+  }
+  return (method === 'GET' ? RETRYABLE_GET_STATUSES : RETRYABLE_STATUSES).includes(error.status);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter, unless Looker told us how long to wait
+function retryDelay(error, attempt) {
+  if (error.retryAfterMs != null) {
+    return Math.min(error.retryAfterMs, LOOKER_API_RETRY_MAX_MS);
+  }
+  return Math.round(Math.random() * Math.min(LOOKER_API_RETRY_BASE_MS * 2 ** attempt, LOOKER_API_RETRY_MAX_MS));
+}
+
+// ==================== Session workspace ====================
+
+// A Looker session's workspace (dev or production) and its dev branch are shared by every
+// call made with its token. Changing either (dev_mode, create_branch, checkout_branch and
+// get_diff's production reads) takes the token's session for itself: it waits for the calls
+// already running, and calls made meanwhile wait for it, so none of them run against the
+// wrong workspace. Keyed by access token; entries are dropped once idle.
+const sessionWorkspaces = new Map();
+
+// Waits out any workspace switch on the token, then claims its entry in the same tick, so
+// no switch can start in between
+async function claimSessionWorkspace(accessToken, claim) {
+  let state;
+  while ((state = sessionWorkspaces.get(accessToken))?.switching) {
+    await state.switching;
+  }
+  if (!state) {
+    state = { running: new Set(), switching: null };
+    sessionWorkspaces.set(accessToken, state);
+  }
+  claim(state);
+  return state;
+}
+
+function releaseSessionWorkspace(accessToken, state) {
+  if (state.running.size === 0 && !state.switching && sessionWorkspaces.get(accessToken) === state) {
+    sessionWorkspaces.delete(accessToken);
+  }
+}
+
+async function withSessionWorkspace(accessToken, fn) {
+  let call;
+  const state = await claimSessionWorkspace(accessToken, entry => {
+    call = fn();
+    entry.running.add(call);
+  });
+  try {
+    return await call;
+  } finally {
+    state.running.delete(call);
+    releaseSessionWorkspace(accessToken, state);
+  }
+}
+
+// Runs fn with the token's session to itself; fn makes its calls with { workspaceSwitch: true }
+async function withWorkspaceSwitch(accessToken, fn) {
+  let done;
+  const state = await claimSessionWorkspace(accessToken, entry => {
+    entry.switching = new Promise(resolve => { done = resolve; });
+  });
+  try {
+    await Promise.allSettled([...state.running]);
+    return await fn();
+  } finally {
+    state.switching = null;
+    done();
+    releaseSessionWorkspace(accessToken, state);
+  }
+}
+
+// Helper to make Looker API calls directly, with a per-call timeout, retries and the circuit breaker
+// Calls made inside a workspace switch (withWorkspaceSwitch) pass workspaceSwitch: true.
+async function lookerApiCall(accessToken, method, path, body = null, { signal, timeoutMs = LOOKER_API_TIMEOUT_MS, binary = false, workspaceSwitch = false } = {}) {
+  if (workspaceSwitch) {
+    return callLookerWithRetries(accessToken, method, path, body, { signal, timeoutMs, binary });
+  }
+  return withSessionWorkspace(accessToken, () =>
+    callLookerWithRetries(accessToken, method, path, body, { signal, timeoutMs, binary }));
+}
+
+async function callLookerWithRetries(accessToken, method, path, body, { signal, timeoutMs, binary }) {
+  const breaker = circuitBreakerFor(LOOKER_BASE_URL);
+  checkCircuit(breaker);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await lookerRequest(accessToken, method, path, body, { signal, timeoutMs, binary });
+      recordCircuitOutcome(breaker, false);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        breaker.trialInFlight = false;
+        throw signal.reason ?? error;
+      }
+      recordCircuitOutcome(breaker, isServerFailure(error));
+      if (attempt >= LOOKER_API_MAX_RETRIES || !isRetryable(method, error) || breaker.state === 'open') {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt);
+      console.log(`[Looker API] Retrying ${method} ${path} in ${delay}ms (attempt ${attempt + 2}/${LOOKER_API_MAX_RETRIES + 1}): ${error.message}`);
+      await sleep(delay, undefined, { signal }).catch(() => {
+        throw signal.reason;
+      });
+    }
+  }
+}
+
+// A single HTTP request to the Looker API; binary responses (exports) come back as a Buffer
+async function lookerRequest(accessToken, method, path, body, { signal, timeoutMs, binary }) {
   const url = `${LOOKER_BASE_URL}${path}`;
   console.log(`[Looker API] ${method} ${path}`);
 
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
   const options = {
     method,
     headers: {
       'Authorization': `Bearer ${accessToken}`,
       'Content-Type': 'application/json',
     },
+    signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
   };
 
   if (body) {
     options.body = JSON.stringify(body);
   }
 
-  const response = await fetch(url, options);
+  try {
+    const response = await fetch(url, options);
+
+    if (!response.ok) {
+      const text = await response.text();
+      let errorBody = null;
+      try {
+        errorBody = JSON.parse(text);
+      } catch {
+        // Not every Looker error (e.g. a load balancer 502) has a JSON body
+      }
+      const error = new LookerApiError(response.status, method, path, errorBody, text);
+      error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+    if (binary) {
+      return Buffer.from(await response.arrayBuffer());
+    }
+
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      const result = await response.json();
+      // Inline queries report SQL and field errors as a 200 with a looker_error row
+      if (Array.isArray(result) && result.length === 1 && result[0]?.looker_error) {
+        throw new LookerApiError(400, method, path, { message: result[0].looker_error }, result[0].looker_error);
+      }
+      return result;
+    }
+    return response.text();
+  } catch (error) {
+    if (timeoutSignal.aborted && !signal?.aborted) {
+      throw new Error(`Looker API ${method} ${path.split('?')[0]} timed out after ${timeoutMs / 1000}s`);
+    }
+    throw error;
+  }
+}
+
+// Error thrown for any non-2xx Looker API response
+class LookerApiError extends Error {
+  constructor(status, method, path, body, rawText) {
+    const lookerMessage = body?.message || rawText || `HTTP ${status}`;
+    super(`Looker API error ${status}: ${lookerMessage}`);
+    this.name = 'LookerApiError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.lookerMessage = lookerMessage;
+    this.documentationUrl = body?.documentation_url;
+    this.errors = Array.isArray(body?.errors) ? body.errors : [];
+  }
+}
+
+// Query fields that can be sent back to POST /queries when copying an existing query
+const WRITABLE_QUERY_FIELDS = [
+  'model', 'view', 'fields', 'pivots', 'fill_fields', 'filters', 'filter_expression', 'sorts',
+  'limit', 'column_limit', 'total', 'row_total', 'subtotals', 'vis_config', 'filter_config',
+  'visible_ui_sections', 'dynamic_fields', 'query_timezone',
+];
+
+// Create a new query from an existing one (e.g. a Look's), with some properties overridden
+async function copyQuery(accessToken, query, overrides, options) {
+  const body = {};
+  for (const key of WRITABLE_QUERY_FIELDS) {
+    if (query[key] !== undefined && query[key] !== null) {
+      body[key] = query[key];
+    }
+  }
+  return lookerApiCall(accessToken, 'POST', '/api/4.0/queries', { ...body, ...overrides }, options);
+}
+
+// Run a saved query through Looker's async query-task API, polling until results are ready.
+// Reports progress while waiting and kills the Looker task if the request is cancelled or times out.
+async function runQueryTask(accessToken, queryId, { signal, onProgress, audit, label = 'Looker query' } = {}) {
+  const task = await lookerApiCall(accessToken, 'POST', '/api/4.0/query_tasks?cache=true', {
+    query_id: queryId,
+    result_format: 'json',
+  }, { signal });
+  // The audit log records the query's slug, which is what users see in Looker URLs
+  const slug = audit
+    ? cachedLookerGet(accessToken, apiPath`/api/4.0/queries/${queryId}`).then(query => query.slug, () => undefined)
+    : undefined;
+
+  const startedAt = Date.now();
+  let interval = QUERY_POLL_INTERVAL_MS;
+  try {
+    while (true) {
+      const results = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/query_tasks/${task.id}/results`, null, { signal });
+      if (results !== null && results !== '') {
+        recordAuditQuery(audit, { id: queryId, slug: await slug }, results);
+        return results;
+      }
+
+      const elapsed = Date.now() - startedAt;
+      if (elapsed > QUERY_TASK_TIMEOUT_MS) {
+        throw new Error(`${label} did not finish within ${Math.round(QUERY_TASK_TIMEOUT_MS / 1000)}s and was cancelled. Narrow the date range or add filters and try again.`);
+      }
+      onProgress?.(`${label} running (${Math.round(elapsed / 1000)}s)`);
+      await sleep(interval, undefined, { signal });
+      interval = Math.min(Math.round(interval * 1.5), QUERY_POLL_MAX_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.log(`[Looker API] Cancelling query task ${task.id}`);
+    lookerApiCall(accessToken, 'DELETE', apiPath`/api/4.0/running_queries/${task.id}`)
+      .catch(e => console.error(`[Looker API] Failed to cancel query task ${task.id}:`, e.message));
+    throw signal?.aborted ? signal.reason : error;
+  }
+}
+
+// Map over items running at most `limit` calls of fn at a time, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Tagged template for Looker API paths - URL-encodes every interpolated value. Query strings
+// must be appended to its result: passed through it, their `?`, `=` and `&` would be encoded
+// into the path, so it refuses them.
+function apiPath(strings, ...values) {
+  const queryValue = values.find((value) => typeof value === 'string' && /^\?[\w.]+=/.test(value));
+  if (strings.some((str) => str.includes('?')) || queryValue !== undefined) {
+    throw new Error(`Query string passed through apiPath: ${strings.join('${}')}`);
+  }
+  return strings.reduce((path, str, i) => {
+    const value = i < values.length ? encodeURIComponent(String(values[i])) : '';
+    return path + str + value;
+  }, '');
+}
+
+// ==================== Metadata cache ====================
+
+// LookML metadata and user lookups, keyed by Looker instance and user so that users with
+// different model access never see each other's metadata. Entries hold the value or, while
+// the first request is still running, its promise so identical requests share one fetch.
+const metadataCache = new Map();
+const metadataCacheStats = { hits: 0, misses: 0, coalesced: 0, invalidations: 0 };
+
+async function cached(key, load, ttlMs = METADATA_CACHE_TTL_MS) {
+  const entry = metadataCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    if (entry.pending) {
+      metadataCacheStats.coalesced++;
+    } else {
+      metadataCacheStats.hits++;
+    }
+    return entry.value;
+  }
+
+  metadataCacheStats.misses++;
+  const promise = load();
+  const newEntry = { value: promise, pending: true, expiresAt: Date.now() + ttlMs };
+  metadataCache.delete(key);
+  metadataCache.set(key, newEntry);
+  while (metadataCache.size > METADATA_CACHE_MAX_ENTRIES) {
+    metadataCache.delete(metadataCache.keys().next().value);
+  }
+
+  try {
+    newEntry.value = await promise;
+    newEntry.pending = false;
+    return newEntry.value;
+  } catch (error) {
+    // Never cache failures
+    if (metadataCache.get(key) === newEntry) {
+      metadataCache.delete(key);
+    }
+    throw error;
+  }
+}
+
+function userCachePrefix(userId) {
+  return `${LOOKER_BASE_URL}|user:${userId}|`;
+}
+
+// The Looker user behind an access token, resolved once per token (kept for a day; tokens expire long before)
+async function getLookerUser(accessToken) {
+  return cached(`${LOOKER_BASE_URL}|token:${tokenFingerprint(accessToken)}`, () =>
+    lookerApiCall(accessToken, 'GET', '/api/4.0/user'), 24 * 60 * 60 * 1000);
+}
+
+// GET a metadata document through the per-user cache. Shared fetches don't take the caller's
+// abort signal, since cancelling one caller must not fail the others waiting on it.
+async function cachedLookerGet(accessToken, path, { timeoutMs } = {}) {
+  const user = await getLookerUser(accessToken);
+  return cached(`${userCachePrefix(user.id)}${path}`, () => lookerApiCall(accessToken, 'GET', path, null, { timeoutMs }));
+}
+
+async function getExplore(accessToken, model, explore) {
+  return cachedLookerGet(accessToken, apiPath`/api/4.0/lookml_models/${model}/explores/${explore}`);
+}
+
+// Drop a user's cached metadata, e.g. after switching between dev and production workspaces
+function invalidateUserMetadata(userId) {
+  const prefix = userCachePrefix(userId);
+  let removed = 0;
+  for (const key of metadataCache.keys()) {
+    if (key.startsWith(prefix)) {
+      metadataCache.delete(key);
+      removed++;
+    }
+  }
+  metadataCacheStats.invalidations++;
+  console.log(`[Cache] Invalidated ${removed} metadata entries for Looker user ${userId}`);
+}
+
+// ==================== Field search ====================
+
+const EXPLORE_FETCH_CONCURRENCY = 4;
+
+function searchTokens(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(token => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token));
+}
+
+// Where a search term can match, and how much a match there counts
+function fieldSearchSources(field) {
+  return [
+    { tokens: searchTokens(field.name.split('.').pop()), weight: 3 },
+    { tokens: searchTokens(field.label_short || field.label), weight: 3 },
+    { tokens: searchTokens(`${field.group_label || ''} ${field.view_label || ''}`), weight: 1.5 },
+    { tokens: searchTokens(field.description), weight: 1 },
+  ];
+}
+
+// Score a field against the search term; 0 means no term token matched at all
+function scoreField(field, termTokens, phrase) {
+  const sources = fieldSearchSources(field);
+  let score = 0;
+  let matched = 0;
+  for (const token of termTokens) {
+    let best = 0;
+    for (const source of sources) {
+      const exact = source.tokens.includes(token);
+      const partial = !exact && token.length >= 3 && source.tokens.some(t => t.startsWith(token) || (t.length >= 3 && token.startsWith(t)));
+      if (exact || partial) {
+        best = Math.max(best, source.weight * (exact ? 1 : 0.6));
+      }
+    }
+    if (best > 0) {
+      score += best;
+      matched++;
+    }
+  }
+  if (matched === 0) {
+    return 0;
+  }
+  // Prefer fields matching every word, and fields whose label or name contains the whole phrase
+  if (matched === termTokens.length) {
+    score *= 1.5;
+  }
+  const label = `${field.label_short || field.label || ''} ${field.name.split('.').pop().replace(/_/g, ' ')}`.toLowerCase();
+  if (label.includes(phrase)) {
+    score += 3;
+  }
+  return score;
+}
+
+// Rank dimensions and measures from every explore in a model against a natural-language term
+async function searchFields(accessToken, args, { onProgress } = {}) {
+  const termTokens = searchTokens(args.term);
+  if (termTokens.length === 0) {
+    throw new Error('Search term must contain at least one word');
+  }
+  const phrase = args.term.trim().toLowerCase();
+  const kinds = args.kind && args.kind !== 'all' ? [`${args.kind}s`] : ['dimensions', 'measures'];
+
+  const model = await cachedLookerGet(accessToken, apiPath`/api/4.0/lookml_models/${args.model}`);
+  const explores = (model.explores || []).filter(e =>
+    (args.explores ? args.explores.includes(e.name) : !e.hidden));
+
+  let loaded = 0;
+  const exploreDocs = await mapWithConcurrency(explores, EXPLORE_FETCH_CONCURRENCY, async (explore) => {
+    try {
+      return await getExplore(accessToken, args.model, explore.name);
+    } catch (error) {
+      // One broken or forbidden explore shouldn't fail the whole search
+      console.error(`[Search] Skipping explore ${args.model}/${explore.name}:`, error.message);
+      return null;
+    } finally {
+      onProgress?.(`Searched ${++loaded}/${explores.length} explores`);
+    }
+  });
+
+  // The same view field appears in every explore that joins the view; rank it once
+  const matches = new Map();
+  exploreDocs.forEach((doc, i) => {
+    if (!doc) return;
+    for (const kind of kinds) {
+      for (const field of doc.fields?.[kind] || []) {
+        if (field.hidden && !args.include_hidden) continue;
+        const score = scoreField(field, termTokens, phrase);
+        if (score === 0) continue;
+        const existing = matches.get(field.name);
+        if (existing) {
+          existing.explores.push(explores[i].name);
+          continue;
+        }
+        matches.set(field.name, {
+          field: field.name,
+          kind: kind.slice(0, -1),
+          type: field.type,
+          label: field.label,
+          group_label: field.group_label || undefined,
+          description: field.description?.length > 160 ? `${field.description.slice(0, 157)}...` : field.description,
+          score: Math.round(score * 10) / 10,
+          explores: [explores[i].name],
+        });
+      }
+    }
+  });
+
+  const ranked = [...matches.values()].sort((a, b) => b.score - a.score);
+  return {
+    model: args.model,
+    term: args.term,
+    explores_searched: exploreDocs.filter(Boolean).length,
+    total_matches: ranked.length,
+    results: ranked.slice(0, args.limit || 20),
+  };
+}
+
+// ==================== Query checks ====================
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Known field names closest to an unknown one, for "did you mean" hints
+function suggestFieldNames(name, knownNames, max = 3) {
+  const [view, field = view] = name.toLowerCase().split('.');
+  const fieldTokens = new Set(searchTokens(field));
+  return knownNames
+    .map(known => {
+      const [knownView, knownField] = known.toLowerCase().split('.');
+      const distance = levenshtein(field, knownField);
+      let similarity = 1 - distance / Math.max(field.length, knownField.length);
+      // Shared words count for a lot: "revenue_total" vs "total_revenue"
+      const shared = searchTokens(knownField).filter(t => fieldTokens.has(t)).length;
+      similarity += shared * 0.25;
+      if (knownView === view) similarity += 0.1;
+      return { known, similarity };
+    })
+    .filter(s => s.similarity >= 0.5)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, max)
+    .map(s => s.known);
+}
+
+const NUMERIC_FIELD_TYPES = [
+  'number', 'count', 'count_distinct', 'sum', 'sum_distinct', 'average', 'average_distinct',
+  'min', 'max', 'median', 'median_distinct', 'percentile', 'percentile_distinct', 'int',
+];
+
+function filterSyntaxGuide(field) {
+  const type = field.type || '';
+  if (field.category === 'parameter' && field.allowed_values?.length) {
+    return `${field.name} is a parameter; use one of: ${field.allowed_values.map(v => v.value).join(', ')}`;
+  }
+  if (type === 'yesno') {
+    return `${field.name} is a yes/no field; use "Yes" or "No"`;
+  }
+  if (type.startsWith('date') || type === 'time') {
+    return `${field.name} is a date field; use e.g. "today", "7 days", "last month", "this year", "2024-01-01 to 2024-02-01" or "before 2024-01-01"`;
+  }
+  if (field.is_numeric || NUMERIC_FIELD_TYPES.includes(type)) {
+    return `${field.name} is numeric; use e.g. "5", ">100", ">=10 AND <=20", "[1, 10]", "NOT 0" or "NULL"`;
+  }
+  return `${field.name} is a string field; use e.g. "LGW", "LGW,MAN" (any of), "-LGW" (not), "%airport%" (contains) or "EMPTY"`;
+}
+
+// Obvious type mismatches only; Looker's filter grammar is too rich to check fully here
+function checkFilterValue(field, value) {
+  const text = String(value).trim();
+  if (field.category === 'parameter' && field.allowed_values?.length) {
+    const allowed = field.allowed_values.map(v => v.value);
+    return allowed.includes(text) ? null : `"${text}" is not an allowed value`;
+  }
+  if (field.type === 'yesno') {
+    return /^(yes|no)$/i.test(text) ? null : `"${text}" is not Yes or No`;
+  }
+  if ((field.is_numeric || NUMERIC_FIELD_TYPES.includes(field.type)) && !/\d|^-?(NULL|EMPTY)$/i.test(text)) {
+    return `"${text}" is not a numeric filter expression`;
+  }
+  return null;
+}
+
+// Check field names, sorts, pivots and filters against the explore before sending a query to
+// Looker, so the model gets "did you mean" suggestions instead of an opaque Looker error
+async function checkQuery(accessToken, args) {
+  const explore = await getExplore(accessToken, args.model, args.explore);
+  const byName = new Map();
+  for (const category of ['dimensions', 'measures', 'filters', 'parameters']) {
+    for (const field of explore.fields?.[category] || []) {
+      byName.set(field.name, { ...field, category: category.slice(0, -1) });
+    }
+  }
+  const selectable = [...byName.values()]
+    .filter(f => f.category === 'dimension' || f.category === 'measure')
+    .map(f => f.name);
+
+  const problems = [];
+  const guides = new Set();
+  const unknown = (name, where, candidates) => {
+    const suggestions = suggestFieldNames(name, candidates);
+    problems.push(`${where}: "${name}" is not a field in ${args.model}/${args.explore}.` +
+      (suggestions.length ? ` Did you mean ${suggestions.join(', ')}?` : ''));
+  };
+
+  for (const name of args.fields || []) {
+    const field = byName.get(name);
+    if (!field) {
+      unknown(name, 'fields', selectable);
+    } else if (field.category !== 'dimension' && field.category !== 'measure') {
+      problems.push(`fields: "${name}" is a ${field.category} and can only be used in filters.`);
+    }
+  }
+
+  for (const sort of args.sorts || []) {
+    const name = sort.trim().split(/\s+/)[0];
+    if (!byName.has(name)) {
+      unknown(name, 'sorts', selectable);
+    }
+  }
+
+  for (const name of args.pivots || []) {
+    const field = byName.get(name);
+    if (!field) {
+      unknown(name, 'pivots', selectable);
+    } else if (field.category !== 'dimension') {
+      problems.push(`pivots: "${name}" is a ${field.category}; only dimensions can be pivoted.`);
+    } else if (!(args.fields || []).includes(name)) {
+      problems.push(`pivots: "${name}" must also be listed in fields.`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(args.filters || {})) {
+    const field = byName.get(name);
+    if (!field) {
+      unknown(name, 'filters', [...byName.keys()]);
+      continue;
+    }
+    const valueProblem = checkFilterValue(field, value);
+    if (valueProblem) {
+      problems.push(`filters: ${name} ${valueProblem}.`);
+      guides.add(filterSyntaxGuide(field));
+    }
+  }
+
+  if (problems.length === 0) {
+    return;
+  }
+  const lines = [
+    `Query check failed for ${args.model}/${args.explore}; nothing was sent to Looker.`,
+    ...problems.map(p => `- ${p}`),
+  ];
+  if (guides.size > 0) {
+    lines.push('Filter syntax:', ...[...guides].map(g => `- ${g}`));
+  }
+  lines.push('Use search_fields, or get_dimensions and get_measures, to see the valid fields.');
+  throw new Error(lines.join('\n'));
+}
+
+// ==================== Field values ====================
+
+const FIELD_SUGGESTION_TIMEOUT_MS = parseInt(process.env.FIELD_SUGGESTION_TIMEOUT_MS || '15000', 10);
+const FILTER_VALUE_CHECK_LIMIT = 5;
+
+// Values for a field: the LookML's own allowed values or suggestions list if it has one, otherwise
+// Looker's suggestion endpoint, which queries the field (or its suggest_explore/suggest_dimension)
+async function fieldSuggestions(accessToken, model, explore, field, term) {
+  const lookmlValues = allowedFilterValues(field);
+  if (lookmlValues) {
+    const needle = (term || '').toLowerCase();
+    return { values: lookmlValues.filter(v => String(v).toLowerCase().includes(needle)), source: 'lookml', hit_limit: false };
+  }
+  if (field.suggestable === false) {
+    return { values: [], source: 'none', hit_limit: false };
+  }
+  const path = apiPath`/api/4.0/models/${model}/views/${field.suggest_explore || explore}/fields/${field.suggest_dimension || field.name}/suggestions`;
+  const result = await cachedLookerGet(accessToken, term ? `${path}?term=${encodeURIComponent(term)}` : path, { timeoutMs: FIELD_SUGGESTION_TIMEOUT_MS });
+  if (result?.error) {
+    throw new Error(`Looker could not suggest values for ${field.name}: ${result.error}`);
+  }
+  return { values: result?.suggestions || [], source: 'looker', hit_limit: Boolean(result?.hit_limit) };
+}
+
+// Suggestable fields are dimensions, filter-only fields and parameters
+async function findFilterableField(accessToken, model, exploreName, name) {
+  const explore = await getExplore(accessToken, model, exploreName);
+  const fields = ['dimensions', 'filters', 'parameters'].flatMap(category => explore.fields?.[category] || []);
+  const field = fields.find(f => f.name === name);
+  if (!field) {
+    const suggestions = suggestFieldNames(name, fields.map(f => f.name));
+    throw new Error(`"${name}" is not a dimension, filter or parameter in ${model}/${exploreName}.` +
+      (suggestions.length ? ` Did you mean ${suggestions.join(', ')}?` : ''));
+  }
+  return field;
+}
+
+async function getFieldValues(accessToken, args) {
+  const field = await findFilterableField(accessToken, args.model, args.explore, args.field);
+  const { values, source, hit_limit } = await fieldSuggestions(accessToken, args.model, args.explore, field, args.term);
+  const limit = args.limit || 100;
+  const result = { field: field.name, term: args.term, values: values.slice(0, limit), source };
+  if (values.length > limit || hit_limit) {
+    result.note = 'More values exist; pass a more specific term to narrow them down.';
+  } else if (source === 'none') {
+    result.note = `Value suggestions are turned off for ${field.name}; run a query on it to list its distinct values.`;
+  }
+  return result;
+}
+
+// Known values closest to a mistyped one, e.g. "Mallorca" for "Majorca" or "LGW" for "LWG"
+function closestValues(value, knownValues, max = 3) {
+  const target = value.toLowerCase();
+  return knownValues
+    .map(known => {
+      const text = String(known).toLowerCase();
+      let similarity = 1 - levenshtein(target, text) / Math.max(target.length, text.length);
+      if (text.includes(target) || target.includes(text)) similarity += 0.25;
+      // Swapped letters are the usual typo in short codes, and cost two edits
+      if ([...text].sort().join('') === [...target].sort().join('')) similarity += 0.4;
+      return { known: String(known), similarity };
+    })
+    .filter(s => s.similarity >= 0.5)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, max)
+    .map(s => s.known);
+}
+
+// Plain values in a string filter expression; wildcards, negations and NULL/EMPTY can't be checked
+function plainFilterValues(expression) {
+  return String(expression)
+    .split(/(?<!\^),/)
+    .map(v => v.trim().replace(/\^(.)/g, '$1'))
+    .filter(v => v && !/^-|[%_]|^(NULL|EMPTY)$/i.test(v));
+}
+
+// Warnings for string filter values that match none of the field's known values. A misspelt
+// airport or brand otherwise comes back as an empty result that looks like a real zero
+async function filterValueWarnings(accessToken, args) {
+  const explore = await getExplore(accessToken, args.model, args.explore);
+  const fields = [...(explore.fields?.dimensions || []), ...(explore.fields?.filters || [])];
+  const checks = [];
+  for (const [name, expression] of Object.entries(args.filters || {})) {
+    const field = fields.find(f => f.name === name);
+    if (field && (field.type || 'string') === 'string' && field.suggestable !== false) {
+      checks.push(...plainFilterValues(expression).map(value => ({ field, value })));
+    }
+  }
+
+  const warnings = await Promise.all(checks.slice(0, FILTER_VALUE_CHECK_LIMIT).map(async ({ field, value }) => {
+    try {
+      const matching = await fieldSuggestions(accessToken, args.model, args.explore, field, value);
+      if (matching.values.some(v => String(v).toLowerCase() === value.toLowerCase())) {
+        return null;
+      }
+      const all = await fieldSuggestions(accessToken, args.model, args.explore, field);
+      if (all.values.length === 0) {
+        return null;
+      }
+      const close = closestValues(value, [...matching.values, ...all.values]);
+      return `Filter ${field.name} value "${value}" matches no known value.` +
+        (close.length ? ` Did you mean ${close.map(c => `"${c}"`).join(', ')}?` : '');
+    } catch {
+      // Suggestions are advisory; a slow or failing suggestion query must not fail the query
+      return null;
+    }
+  }));
+  return warnings.filter(Boolean);
+}
+
+// ==================== Dashboards ====================
+
+// The query behind a tile: its own query, a merged result maker, or the Look it shows
+function elementQuery(element) {
+  return element.query || element.result_maker?.query || element.look?.query || null;
+}
+
+// Resolve dashboard filter values: the dashboard defaults, with caller overrides by name or title
+function resolveDashboardFilters(dashboardFilters, overrides = {}) {
+  const values = new Map(dashboardFilters.map(f => [f.name, f.default_value ?? '']));
+  const unknown = [];
+  for (const [key, value] of Object.entries(overrides)) {
+    const filter = dashboardFilters.find(f => f.name === key)
+      || dashboardFilters.find(f => f.title?.toLowerCase() === key.toLowerCase());
+    if (!filter) {
+      unknown.push(key);
+      continue;
+    }
+    values.set(filter.name, value == null ? '' : String(value));
+  }
+  if (unknown.length > 0) {
+    const available = dashboardFilters.map(f => (f.title && f.title !== f.name ? `${f.name} ("${f.title}")` : f.name));
+    throw new Error(`Unknown dashboard filter(s): ${unknown.join(', ')}. Available filters: ${available.join(', ') || 'none'}`);
+  }
+  return values;
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Looker API error ${response.status}: ${error}`);
+// Apply dashboard filters to a tile's query the way Looker does: each filter the tile listens
+// to sets the listening field's filter, overriding whatever the tile's own query had
+function tileFilters(element, query, filterValues) {
+  const filters = { ...(query.filters || {}) };
+  const applied = {};
+  for (const filterable of element.result_maker?.filterables || []) {
+    for (const listen of filterable.listen || []) {
+      const value = filterValues.get(listen.dashboard_filter_name);
+      if (value === undefined || value === '') continue;
+      filters[listen.field] = value;
+      applied[listen.field] = value;
+    }
   }
+  return { filters, applied };
+}
 
-  const contentType = response.headers.get('content-type');
-  if (contentType && contentType.includes('application/json')) {
-    return response.json();
+function selectTiles(elements, selection) {
+  if (!selection?.length) {
+    return elements;
   }
-  return response.text();
+  const wanted = selection.map(s => s.toLowerCase());
+  const selected = elements.filter(e => wanted.includes(String(e.id)) || wanted.includes((e.title || '').toLowerCase()));
+  const matched = new Set(selected.flatMap(e => [String(e.id), (e.title || '').toLowerCase()]));
+  const missing = selection.filter(s => !matched.has(s.toLowerCase()));
+  if (missing.length > 0) {
+    const available = elements.map(e => `${e.id}${e.title ? ` ("${e.title}")` : ''}`);
+    throw new Error(`Unknown tile(s): ${missing.join(', ')}. Available tiles: ${available.join(', ')}`);
+  }
+  return selected;
+}
+
+// The query a tile runs with the dashboard filters applied. Only tiles whose filters
+// changed need a new query; the rest run their saved one
+async function tileQueryId(accessToken, element, filterValues, options) {
+  const query = elementQuery(element);
+  const { filters, applied } = tileFilters(element, query, filterValues);
+  const queryId = Object.keys(applied).length > 0
+    ? (await copyQuery(accessToken, query, { filters }, options)).id
+    : query.id;
+  return { queryId, applied };
+}
+
+// Run a dashboard's tiles in parallel with its filters applied, reporting time per tile
+async function runDashboard(accessToken, args, options) {
+  const startedAt = Date.now();
+  const dashboard = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/dashboards/${args.dashboard_id}`, null, options);
+  const filterValues = resolveDashboardFilters(dashboard.dashboard_filters || [], args.filters);
+
+  const queryElements = (dashboard.dashboard_elements || []).filter(e => elementQuery(e));
+  const elements = selectTiles(queryElements, args.tiles);
+  const concurrency = Math.min(Math.max(args.concurrency || DASHBOARD_TILE_CONCURRENCY, 1), 10);
+
+  let done = 0;
+  const tiles = await mapWithConcurrency(elements, concurrency, async (element) => {
+    const tileStartedAt = Date.now();
+    const tile = { element_id: element.id, title: element.title };
+    try {
+      const { queryId, applied } = await tileQueryId(accessToken, element, filterValues, options);
+      tile.filters = applied;
+      tile.data = await runQueryTask(accessToken, queryId, { ...options, label: `Tile "${element.title || element.id}"` });
+    } catch (e) {
+      if (options.signal?.aborted) {
+        throw e;
+      }
+      tile.error = e.message;
+    }
+    tile.duration_ms = Date.now() - tileStartedAt;
+    options.onProgress?.(`Finished ${++done}/${elements.length} tiles`);
+    return tile;
+  });
+
+  return {
+    dashboard_id: dashboard.id,
+    title: dashboard.title,
+    filters: Object.fromEntries([...filterValues].filter(([, value]) => value !== '')),
+    total_duration_ms: Date.now() - startedAt,
+    tiles,
+  };
 }
 
 // MCP Tools definitions - Full set matching the official Looker MCP
@@ -105,23 +1010,63 @@ const tools = [
     },
   },
 
-  // ==================== Queries ====================
   {
-    name: 'query',
-    description: 'Run an inline query using the Looker semantic model',
+    name: 'search_fields',
+    description: 'Search dimensions and measures across all explores of a model by a natural-language term (e.g. "booking revenue", "departure airport"). Returns fields ranked by how well their name, label, group label and description match, with the explores that contain them. Use this before get_dimensions/get_measures to find the right explore and fields in one call.',
     inputSchema: {
       type: 'object',
       properties: {
-        model: { type: 'string', description: 'The model containing the explore' },
-        explore: { type: 'string', description: 'The explore to be queried' },
-        fields: { type: 'array', items: { type: 'string' }, description: 'The fields to retrieve' },
-        filters: { type: 'object', description: 'The filters for the query' },
-        pivots: { type: 'array', items: { type: 'string' }, description: 'Pivot fields' },
-        sorts: { type: 'array', items: { type: 'string' }, description: 'Sort fields' },
-        limit: { type: 'integer', description: 'Row limit' },
-        tz: { type: 'string', description: 'Query timezone' },
+        model: { type: 'string', description: 'The model to search' },
+        term: { type: 'string', description: 'What to search for, e.g. "booking revenue"' },
+        kind: { type: 'string', enum: ['all', 'dimension', 'measure'], description: 'Restrict to dimensions or measures (default all)' },
+        explores: { type: 'array', items: { type: 'string' }, description: 'Only search these explores (default: all visible explores)' },
+        include_hidden: { type: 'boolean', description: 'Include hidden fields' },
+        limit: { type: 'integer', description: 'Maximum number of results (default 20)' },
       },
-      required: ['model', 'explore', 'fields'],
+      required: ['model', 'term'],
+    },
+  },
+
+  {
+    name: 'get_field_values',
+    description: 'Look up valid values for a dimension, filter or parameter (e.g. airport codes, destinations, brands) to use in query filters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        model: { type: 'string', description: 'The model containing the explore' },
+        explore: { type: 'string', description: 'The explore containing the field' },
+        field: { type: 'string', description: 'The field name, e.g. sales.departure_airport' },
+        term: { type: 'string', description: 'Only return values containing this text' },
+        limit: { type: 'integer', description: 'Maximum values to return (default 100)' },
+      },
+      required: ['model', 'explore', 'field'],
+    },
+  },
+
+  // ==================== Queries ====================
+  {
+    name: 'query',
+    description: 'Run an inline query using the Looker semantic model',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        model: { type: 'string', description: 'The model containing the explore' },
+        explore: { type: 'string', description: 'The explore to be queried' },
+        fields: { type: 'array', items: { type: 'string' }, description: 'The fields to retrieve' },
+        filters: { type: 'object', description: 'The filters for the query' },
+        pivots: { type: 'array', items: { type: 'string' }, description: 'Pivot fields' },
+        sorts: { type: 'array', items: { type: 'string' }, description: 'Sort fields' },
+        limit: { type: 'integer', description: 'Row limit' },
+        tz: { type: 'string', description: 'Query timezone' },
+        format: { type: 'string', enum: RESULT_FORMATS, description: 'Result format: table (compact, default), csv, markdown or json' },
+        max_tokens: { type: 'integer', description: `Approximate token budget for the result (default ${RESULT_TOKEN_BUDGET}). Rows beyond it are summarised and can be fetched with cursor` },
+        cursor: { type: 'string', description: 'Cursor from a previous truncated result, to fetch the next rows. Pass it with the same other arguments' },
+        stats: { type: 'boolean', description: 'Include per-column summary stats (always included when rows are omitted)' },
+        render: { type: 'boolean', description: 'Also return a chart of the results as an image' },
+        chart_type: { type: 'string', enum: CHART_TYPES, description: 'Chart type when render is true (default auto: line for a date dimension, stacked bar for pivots or two dimensions, otherwise bar)' },
+        chart_format: { type: 'string', enum: ['png', 'svg'], description: 'Chart image format (default png)' },
+      },
+      required: ['model', 'explore', 'fields'],
     },
   },
   {
@@ -179,12 +1124,14 @@ const tools = [
   },
   {
     name: 'run_dashboard',
-    description: 'Run the queries associated with a dashboard',
+    description: 'Run the query tiles of a dashboard in parallel with its filters applied (dashboard defaults plus overrides), optionally only selected tiles; reports time taken per tile',
     inputSchema: {
       type: 'object',
       properties: {
         dashboard_id: { type: 'string', description: 'The dashboard ID to run' },
-        filters: { type: 'object', description: 'Dashboard filters to apply' },
+        filters: { type: 'object', description: 'Dashboard filter values keyed by filter name or title, e.g. {"Booking Date": "7 days"}. Filters not given keep the dashboard defaults; "" clears one' },
+        tiles: { type: 'array', items: { type: 'string' }, description: 'Only run these tiles, by element id or title (default: all tiles)' },
+        concurrency: { type: 'integer', description: `How many tiles to run at once (default ${DASHBOARD_TILE_CONCURRENCY}, max 10)` },
       },
       required: ['dashboard_id'],
     },
@@ -192,6 +1139,7 @@ const tools = [
   {
     name: 'make_dashboard',
     description: 'Create a new dashboard in the users personal folder in Looker',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       type: 'object',
       properties: {
@@ -204,6 +1152,7 @@ const tools = [
   {
     name: 'add_dashboard_element',
     description: 'Create a dashboard element (tile) in the given dashboard',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       type: 'object',
       properties: {
@@ -246,6 +1195,13 @@ const tools = [
       properties: {
         look_id: { type: 'string', description: 'The Look ID to run' },
         limit: { type: 'integer', description: 'Row limit' },
+        format: { type: 'string', enum: RESULT_FORMATS, description: 'Result format: table (compact, default), csv, markdown or json' },
+        max_tokens: { type: 'integer', description: `Approximate token budget for the result (default ${RESULT_TOKEN_BUDGET}). Rows beyond it are summarised and can be fetched with cursor` },
+        cursor: { type: 'string', description: 'Cursor from a previous truncated result, to fetch the next rows. Pass it with the same other arguments' },
+        stats: { type: 'boolean', description: 'Include per-column summary stats (always included when rows are omitted)' },
+        render: { type: 'boolean', description: 'Also return a chart of the results as an image' },
+        chart_type: { type: 'string', enum: CHART_TYPES, description: 'Chart type when render is true (default auto: line for a date dimension, stacked bar for pivots or two dimensions, otherwise bar)' },
+        chart_format: { type: 'string', enum: ['png', 'svg'], description: 'Chart image format (default png)' },
       },
       required: ['look_id'],
     },
@@ -253,6 +1209,7 @@ const tools = [
   {
     name: 'make_look',
     description: 'Create a new Look in the users personal folder in Looker',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       type: 'object',
       properties: {
@@ -272,213 +1229,1873 @@ const tools = [
     },
   },
 
-  // ==================== Connections ====================
-  {
-    name: 'get_connections',
-    description: 'Get all database connections in the Looker instance',
-    inputSchema: { type: 'object', properties: {}, required: [] },
-  },
-  {
-    name: 'get_connection_databases',
-    description: 'Get all databases in a connection',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        connection_name: { type: 'string', description: 'The connection name' },
-      },
-      required: ['connection_name'],
-    },
-  },
-  {
-    name: 'get_connection_schemas',
-    description: 'Get all schemas in a connection',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        connection_name: { type: 'string', description: 'The connection name' },
-        database: { type: 'string', description: 'The database name' },
-      },
-      required: ['connection_name'],
-    },
-  },
-  {
-    name: 'get_connection_tables',
-    description: 'Get all tables in a connection',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        connection_name: { type: 'string', description: 'The connection name' },
-        database: { type: 'string', description: 'The database name' },
-        schema: { type: 'string', description: 'The schema name' },
-      },
-      required: ['connection_name'],
-    },
-  },
-  {
-    name: 'get_connection_table_columns',
-    description: 'Get all columns for specified tables in a connection',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        connection_name: { type: 'string', description: 'The connection name' },
-        database: { type: 'string', description: 'The database name' },
-        schema: { type: 'string', description: 'The schema name' },
-        tables: { type: 'array', items: { type: 'string' }, description: 'Table names' },
-      },
-      required: ['connection_name', 'tables'],
-    },
-  },
+  // ==================== Exports ====================
+  {
+    name: 'export_content',
+    description: 'Export a dashboard, Look or query as a file (PDF, PNG, CSV or XLSX) to download. Dashboards export as CSV/XLSX one file per tile',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dashboard_id: { type: 'string', description: 'Dashboard to export (pdf, png, csv, xlsx)' },
+        look_id: { type: 'string', description: 'Look to export (png, csv, xlsx)' },
+        query_id: { type: 'string', description: 'Query to export (png, csv, xlsx)' },
+        format: { type: 'string', enum: ['pdf', 'png', 'csv', 'xlsx'], description: 'File format' },
+        filters: { type: 'object', description: 'Dashboard filter values keyed by filter name or title, as for run_dashboard' },
+        tiles: { type: 'array', items: { type: 'string' }, description: 'Dashboard CSV/XLSX only: export just these tiles, by element id or title' },
+        width: { type: 'integer', description: 'PDF/PNG width in pixels (default 1280)' },
+        height: { type: 'integer', description: 'PDF/PNG height in pixels (default 1024)' },
+        pdf_paper_size: { type: 'string', enum: ['a4', 'letter', 'legal', 'tabloid', 'a3', 'a5'], description: 'Dashboard PDF paper size (default a4)' },
+        pdf_landscape: { type: 'boolean', description: 'Dashboard PDF in landscape orientation' },
+        dashboard_style: { type: 'string', enum: ['tiled', 'single_column'], description: 'Dashboard PDF/PNG layout (default tiled)' },
+      },
+      required: ['format'],
+    },
+  },
+
+  // ==================== Connections ====================
+  {
+    name: 'get_connections',
+    description: 'Get all database connections in the Looker instance',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'get_connection_databases',
+    description: 'Get all databases in a connection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connection_name: { type: 'string', description: 'The connection name' },
+      },
+      required: ['connection_name'],
+    },
+  },
+  {
+    name: 'get_connection_schemas',
+    description: 'Get all schemas in a connection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connection_name: { type: 'string', description: 'The connection name' },
+        database: { type: 'string', description: 'The database name' },
+      },
+      required: ['connection_name'],
+    },
+  },
+  {
+    name: 'get_connection_tables',
+    description: 'Get all tables in a connection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connection_name: { type: 'string', description: 'The connection name' },
+        database: { type: 'string', description: 'The database name' },
+        schema: { type: 'string', description: 'The schema name' },
+      },
+      required: ['connection_name'],
+    },
+  },
+  {
+    name: 'get_connection_table_columns',
+    description: 'Get all columns for specified tables in a connection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connection_name: { type: 'string', description: 'The connection name' },
+        database: { type: 'string', description: 'The database name' },
+        schema: { type: 'string', description: 'The schema name' },
+        tables: { type: 'array', items: { type: 'string' }, description: 'Table names' },
+      },
+      required: ['connection_name', 'tables'],
+    },
+  },
+
+  // ==================== Projects & LookML ====================
+  {
+    name: 'get_projects',
+    description: 'Get all LookML projects in the Looker instance',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'get_project_files',
+    description: 'Get all LookML files in a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'get_project_file',
+    description: 'Get the contents of a LookML file, with a version to pass as expected_version when updating it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        file_id: { type: 'string', description: 'The file ID' },
+      },
+      required: ['project_id', 'file_id'],
+    },
+  },
+  {
+    name: 'create_project_file',
+    description: 'Create a new LookML file in a project',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        file_name: { type: 'string', description: 'The file name' },
+        content: { type: 'string', description: 'The file content' },
+        dry_run: { type: 'boolean', description: 'Only show the new file as a diff with a bracket/string structure check (not LookML validation); nothing is created' },
+      },
+      required: ['project_id', 'file_name', 'content'],
+    },
+  },
+  {
+    name: 'update_project_file',
+    description: 'Update a LookML file in a project, either with its whole new content or with search/replace edits',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        file_id: { type: 'string', description: 'The file ID' },
+        content: { type: 'string', description: 'The whole new file content (instead of edits)' },
+        edits: {
+          type: 'array',
+          description: 'Search/replace hunks applied in order (instead of content). Each search text must match exactly once',
+          items: {
+            type: 'object',
+            properties: {
+              search: { type: 'string', minLength: 1, description: 'Exact text to find, with enough surrounding lines to be unique' },
+              replace: { type: 'string', description: 'Text to put in its place' },
+            },
+            required: ['search', 'replace'],
+          },
+        },
+        expected_version: { type: 'string', description: 'The version from get_project_file or a dry run; the update is refused if the file has changed since' },
+        dry_run: { type: 'boolean', description: 'Only show the change as a unified diff with a bracket/string structure check (not LookML validation); nothing is written' },
+      },
+      required: ['project_id', 'file_id'],
+    },
+  },
+  {
+    name: 'delete_project_file',
+    description: 'Delete a LookML file in a project',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        file_id: { type: 'string', description: 'The file ID' },
+      },
+      required: ['project_id', 'file_id'],
+    },
+  },
+  {
+    name: 'dev_mode',
+    description: 'Change the current session into or out of dev mode',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        enable: { type: 'boolean', description: 'Enable or disable dev mode' },
+      },
+      required: ['enable'],
+    },
+  },
+  {
+    name: 'list_branches',
+    description: 'List the git branches of a LookML project and show which one is checked out (dev mode)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'create_branch',
+    description: 'Create a git branch in a LookML project and check it out (dev mode)',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        name: { type: 'string', description: 'The new branch name' },
+        ref: { type: 'string', description: 'Branch or commit to start from (default: the current branch)' },
+      },
+      required: ['project_id', 'name'],
+    },
+  },
+  {
+    name: 'checkout_branch',
+    description: 'Check out an existing git branch of a LookML project (dev mode)',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        name: { type: 'string', description: 'The branch name' },
+      },
+      required: ['project_id', 'name'],
+    },
+  },
+  {
+    name: 'get_diff',
+    description: 'Show a unified diff of the changed LookML files in the dev workspace against production (dev mode)',
+    // Briefly switches the session to the production workspace to read production files
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+        file_id: { type: 'string', description: 'Only diff this file' },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'validate_lookml',
+    description: 'Run LookML validation on a project; returns each error and warning with its file and line',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'deploy_to_production',
+    description: 'Deploy a LookML project to production. Runs LookML validation first and refuses to deploy if it finds errors',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'The project ID' },
+      },
+      required: ['project_id'],
+    },
+  },
+
+  // ==================== Embedding ====================
+  {
+    name: 'generate_embed_url',
+    description: 'Generate an embeddable URL for Looker content',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        target_url: { type: 'string', description: 'The URL to embed' },
+        session_length: { type: 'integer', description: 'Session length in seconds' },
+        force_logout_login: { type: 'boolean', description: 'Force logout and login' },
+      },
+      required: ['target_url'],
+    },
+  },
+
+  // ==================== Health & Analysis ====================
+  {
+    name: 'health_pulse',
+    description: 'Perform health checks on a Looker instance (database connections, dashboard performance, etc)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'Health check action to perform' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'health_analyze',
+    description: 'Analyze projects, models, and explores in a Looker instance',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'Analysis action to perform' },
+        project: { type: 'string', description: 'Project to analyze' },
+        model: { type: 'string', description: 'Model to analyze' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'health_vacuum',
+    description: 'Audit and identify unused LookML objects in a Looker instance',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'Vacuum action to perform' },
+        project: { type: 'string', description: 'Project to audit' },
+      },
+      required: [],
+    },
+  },
+
+  // ==================== Conversational Analytics ====================
+  {
+    name: 'conversational_analytics',
+    description: 'Use the Conversational Analytics API to analyze data from Looker using natural language',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'Natural language question to ask' },
+        model: { type: 'string', description: 'The model to query' },
+        explore: { type: 'string', description: 'The explore to query' },
+      },
+      required: ['question'],
+    },
+  },
+];
+
+// ==================== Result shaping ====================
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Looker returns pivoted measures as nested objects; flatten them into "field|pivot value" columns
+function flattenResultRows(results) {
+  const columns = [];
+  const seen = new Set();
+  const flatRows = results.map(row => {
+    const flat = {};
+    const visit = (value, key) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [childKey, childValue] of Object.entries(value)) {
+          visit(childValue, `${key}|${childKey}`);
+        }
+        return;
+      }
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+      flat[key] = value;
+    };
+    for (const [key, value] of Object.entries(row)) {
+      visit(value, key);
+    }
+    return flat;
+  });
+  return { columns, rows: flatRows.map(flat => columns.map(c => flat[c] ?? null)) };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Header lines and one line per row for each result format
+const resultFormatters = {
+  table: {
+    header: columns => [`columns: ${JSON.stringify(columns)}`],
+    row: (columns, row) => JSON.stringify(row),
+  },
+  csv: {
+    header: columns => [columns.map(csvCell).join(',')],
+    row: (columns, row) => row.map(csvCell).join(','),
+  },
+  markdown: {
+    header: columns => [`| ${columns.map(markdownCell).join(' | ')} |`, `|${columns.map(() => '---').join('|')}|`],
+    row: (columns, row) => `| ${row.map(markdownCell).join(' | ')} |`,
+  },
+  json: {
+    header: () => [],
+    row: (columns, row) => JSON.stringify(Object.fromEntries(columns.map((c, i) => [c, row[i]]))),
+  },
+};
+
+function roundStat(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Summary stats per column over every fetched row, not just the ones shown
+function columnStats(columns, rows) {
+  const stats = {};
+  columns.forEach((column, i) => {
+    const values = rows.map(row => row[i]).filter(v => v !== null && v !== undefined && v !== '');
+    const nulls = rows.length - values.length;
+    if (values.length > 0 && values.every(v => typeof v === 'number')) {
+      const sum = values.reduce((a, b) => a + b, 0);
+      stats[column] = {
+        min: roundStat(Math.min(...values)),
+        max: roundStat(Math.max(...values)),
+        mean: roundStat(sum / values.length),
+        sum: roundStat(sum),
+        nulls,
+      };
+      return;
+    }
+    const counts = new Map();
+    for (const value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3);
+    stats[column] = {
+      distinct: counts.size,
+      top: Object.fromEntries(top),
+      nulls,
+    };
+  });
+  return stats;
+}
+
+function encodeCursor(queryId, offset) {
+  return Buffer.from(JSON.stringify({ query_id: queryId, offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.query_id && Number.isInteger(decoded.offset)) {
+      return decoded;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor. Use the cursor value from a previous truncated result, or omit it to start from the first row.');
+}
+
+// Render query rows as text in the requested format, keeping within the token budget.
+// Omitted rows are summarised and can be fetched with the returned cursor.
+function shapeQueryResult(results, args, { toolName, queryId, offset = 0 }) {
+  if (!Array.isArray(results)) {
+    return JSON.stringify(results);
+  }
+
+  const format = args.format || 'table';
+  const budget = args.max_tokens || RESULT_TOKEN_BUDGET;
+  const formatter = resultFormatters[format];
+  const { columns, rows } = flattenResultRows(results);
+
+  const lines = formatter.header(columns);
+  let tokens = estimateTokens(lines.join('\n'));
+  let end = offset;
+  while (end < rows.length) {
+    const line = formatter.row(columns, rows[end]);
+    tokens += estimateTokens(line) + 1;
+    // Always show at least one row so a tiny budget still makes progress
+    if (tokens > budget && end > offset) {
+      break;
+    }
+    lines.push(line);
+    end++;
+  }
+
+  const omitted = rows.length - end;
+  const output = [];
+  if (rows.length === 0) {
+    output.push('Query returned no rows.');
+  } else {
+    const range = `Rows ${Math.min(offset + 1, rows.length)}-${end} of ${rows.length}`;
+    output.push(omitted > 0 || offset > 0
+      ? `${range} (${offset} before, ${omitted} after not shown, to stay within ~${budget} tokens).`
+      : `${range}.`);
+  }
+  if (rows.length > 0) {
+    output.push(lines.join('\n'));
+  }
+  if (args.stats || omitted > 0) {
+    output.push(`Column stats (all ${rows.length} rows): ${JSON.stringify(columnStats(columns, rows))}`);
+  }
+  if (omitted > 0) {
+    output.push(`More rows available: call ${toolName} again with the same arguments and "cursor": "${encodeCursor(queryId, end)}".`);
+  }
+  return output.join('\n\n');
+}
+
+// ==================== Charts ====================
+
+// Query results are charted locally: SVG is built here and rasterised to PNG with resvg,
+// so charts work offline and without Looker's render service
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 450;
+const CHART_MAX_SERIES = 10;
+const CHART_MAX_CATEGORIES = 60;
+const PIE_MAX_SLICES = 8;
+const CHART_FONT = 'DejaVu Sans, Arial, sans-serif';
+const CHART_COLORS = ['#4276be', '#e57947', '#3fb0d5', '#f2c14e', '#b42f37', '#5b8c5a', '#9b6ac4', '#7cc8fa', '#d4708f', '#8c8c8c'];
+
+// Tool results that carry their own MCP content blocks (e.g. text plus a chart image) instead of JSON text
+class ToolContent {
+  constructor(content) {
+    this.content = content;
+  }
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function truncateLabel(text, max = 18) {
+  const label = String(text ?? '∅');
+  return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+}
+
+function formatChartNumber(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${roundStat(value / 1e9)}B`;
+  if (abs >= 1e6) return `${roundStat(value / 1e6)}M`;
+  if (abs >= 1e4) return `${roundStat(value / 1e3)}k`;
+  return String(roundStat(value));
+}
+
+// Round axis ticks covering [min, max]
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    max = min === 0 ? 1 : min + Math.abs(min);
+  }
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let tick = Math.floor(min / step) * step; tick < max + step; tick += step) {
+    ticks.push(roundStat(tick));
+    if (tick >= max) break;
+  }
+  return ticks;
+}
+
+function isTimeField(field) {
+  return Boolean(field?.type?.startsWith('date') || field?.type === 'time');
+}
+
+// Turn query results into a category axis and numeric series, using the explore's field metadata
+async function buildChartData(accessToken, queryId, results) {
+  const query = await cachedLookerGet(accessToken, apiPath`/api/4.0/queries/${queryId}`);
+  const explore = await getExplore(accessToken, query.model, query.view);
+  const dimensionFields = explore.fields?.dimensions || [];
+  const fieldsByName = new Map([...dimensionFields, ...(explore.fields?.measures || [])].map(f => [f.name, f]));
+  const label = name => fieldsByName.get(name)?.label_short || fieldsByName.get(name)?.label || name;
+
+  const { columns, rows } = flattenResultRows(results);
+  const pivots = query.pivots || [];
+  const dimensions = (query.fields || []).filter(name => dimensionFields.some(f => f.name === name) && !pivots.includes(name));
+  const dimensionColumns = dimensions.filter(name => columns.includes(name));
+  const valueColumns = columns.filter(c => !dimensionColumns.includes(c)
+    && rows.some(row => typeof row[columns.indexOf(c)] === 'number'));
+  if (valueColumns.length === 0) {
+    throw new Error('the results have no numeric columns to chart');
+  }
+
+  const timeAxis = isTimeField(fieldsByName.get(dimensionColumns[0]));
+  let chartRows = rows;
+  if (timeAxis) {
+    const x = columns.indexOf(dimensionColumns[0]);
+    chartRows = [...rows].sort((a, b) => String(a[x]).localeCompare(String(b[x])));
+  }
+
+  let categories;
+  let series;
+  let grouped = pivots.length > 0 && valueColumns.length > 1;
+  if (dimensionColumns.length === 0) {
+    // A single totals row: one bar per measure
+    categories = valueColumns.map(c => label(c));
+    series = [{ name: 'Value', values: valueColumns.map(c => chartRows[0]?.[columns.indexOf(c)] ?? null) }];
+  } else if (dimensionColumns.length >= 2 && pivots.length === 0) {
+    // Pivot the second dimension in memory, charting the first measure
+    const [xIndex, groupIndex, valueIndex] = [dimensionColumns[0], dimensionColumns[1], valueColumns[0]].map(c => columns.indexOf(c));
+    categories = [...new Set(chartRows.map(row => row[xIndex]))];
+    const groups = [...new Set(chartRows.map(row => row[groupIndex]))];
+    series = groups.map(group => ({
+      name: `${group ?? '∅'}`,
+      values: categories.map(category => {
+        const matching = chartRows.filter(row => row[xIndex] === category && row[groupIndex] === group);
+        return matching.length ? matching.reduce((sum, row) => sum + (row[valueIndex] || 0), 0) : null;
+      }),
+    }));
+    grouped = true;
+  } else {
+    const x = columns.indexOf(dimensionColumns[0]);
+    categories = chartRows.map(row => row[x]);
+    const measureCount = new Set(valueColumns.map(c => c.split('|')[0])).size;
+    series = valueColumns.map(c => {
+      const [field, pivot] = c.split('|');
+      return {
+        name: pivot === undefined ? label(field) : (measureCount > 1 ? `${label(field)} - ${pivot}` : pivot),
+        values: chartRows.map(row => row[columns.indexOf(c)]),
+      };
+    });
+  }
+
+  const notes = [];
+  if (series.length > CHART_MAX_SERIES) {
+    notes.push(`showing the first ${CHART_MAX_SERIES} of ${series.length} series`);
+    series = series.slice(0, CHART_MAX_SERIES);
+  }
+  if (!timeAxis && categories.length > CHART_MAX_CATEGORIES) {
+    notes.push(`showing the first ${CHART_MAX_CATEGORIES} of ${categories.length} rows`);
+    categories = categories.slice(0, CHART_MAX_CATEGORIES);
+    series = series.map(s => ({ ...s, values: s.values.slice(0, CHART_MAX_CATEGORIES) }));
+  }
+
+  const measureLabels = [...new Set(valueColumns.map(c => label(c.split('|')[0])))];
+  return {
+    title: `${measureLabels.join(', ')}${dimensionColumns.length ? ` by ${label(dimensionColumns[0])}` : ''}`,
+    xLabel: dimensionColumns.length ? label(dimensionColumns[0]) : '',
+    categories: categories.map(c => (c === null || c === undefined ? '∅' : String(c))),
+    series,
+    timeAxis,
+    grouped,
+    notes,
+  };
+}
+
+// Line for a date axis, stacked bars for pivoted or two-dimension results, bars otherwise
+function autoChartType(chart) {
+  if (chart.timeAxis && chart.categories.length > 1) return 'line';
+  if (chart.grouped) return 'stacked_bar';
+  return 'bar';
+}
+
+function svgText(x, y, text, attrs = '') {
+  return `<text x="${roundStat(x)}" y="${roundStat(y)}" ${attrs}>${escapeXml(text)}</text>`;
+}
+
+function renderLegend(series, y) {
+  const parts = [];
+  let x = 60;
+  for (const [i, s] of series.entries()) {
+    const name = truncateLabel(s.name, 24);
+    const width = 22 + name.length * 6.5;
+    if (x + width > CHART_WIDTH - 20) {
+      parts.push(svgText(x, y + 9, '…', 'font-size="11"'));
+      break;
+    }
+    parts.push(`<rect x="${roundStat(x)}" y="${y}" width="10" height="10" fill="${CHART_COLORS[i % CHART_COLORS.length]}"/>`);
+    parts.push(svgText(x + 14, y + 9, name, 'font-size="11"'));
+    x += width + 10;
+  }
+  return parts.join('');
+}
+
+function renderAxesChart(chart, type) {
+  const top = chart.series.length > 1 ? 64 : 44;
+  const plot = { left: 70, right: CHART_WIDTH - 20, top, bottom: CHART_HEIGHT - 80 };
+  const width = plot.right - plot.left;
+  const height = plot.bottom - plot.top;
+  const n = chart.categories.length;
+
+  // Value range: stacked bars sum positives and negatives per category separately
+  let values = chart.series.flatMap(s => s.values).filter(v => typeof v === 'number');
+  if (type === 'stacked_bar') {
+    values = chart.categories.flatMap((_, i) => {
+      const column = chart.series.map(s => s.values[i]).filter(v => typeof v === 'number');
+      return [column.filter(v => v > 0).reduce((a, b) => a + b, 0), column.filter(v => v < 0).reduce((a, b) => a + b, 0)];
+    });
+  }
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const [min, max] = [ticks[0], ticks[ticks.length - 1]];
+  const y = v => plot.bottom - ((v - min) / (max - min)) * height;
+  const band = width / n;
+  const x = i => (type === 'line' ? plot.left + (n === 1 ? width / 2 : (i * width) / (n - 1)) : plot.left + band * (i + 0.5));
+
+  const parts = [];
+  for (const tick of ticks) {
+    parts.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${roundStat(y(tick))}" y2="${roundStat(y(tick))}" stroke="#e5e5e5"/>`);
+    parts.push(svgText(plot.left - 6, y(tick) + 4, formatChartNumber(tick), 'font-size="11" text-anchor="end" fill="#555"'));
+  }
+
+  const labelStep = Math.max(1, Math.ceil(n / Math.floor(width / 28)));
+  chart.categories.forEach((category, i) => {
+    if (i % labelStep !== 0) return;
+    const lx = roundStat(x(i));
+    parts.push(svgText(lx, plot.bottom + 14, truncateLabel(category), `font-size="11" fill="#555" text-anchor="end" transform="rotate(-35 ${lx} ${plot.bottom + 14})"`));
+  });
+
+  if (type === 'line') {
+    chart.series.forEach((s, si) => {
+      const color = CHART_COLORS[si % CHART_COLORS.length];
+      let path = '';
+      let drawing = false;
+      s.values.forEach((v, i) => {
+        if (typeof v !== 'number') {
+          drawing = false;
+          return;
+        }
+        path += `${drawing ? 'L' : 'M'}${roundStat(x(i))} ${roundStat(y(v))} `;
+        drawing = true;
+      });
+      parts.push(`<path d="${path.trim()}" fill="none" stroke="${color}" stroke-width="2"/>`);
+      if (n <= 40) {
+        s.values.forEach((v, i) => {
+          if (typeof v === 'number') parts.push(`<circle cx="${roundStat(x(i))}" cy="${roundStat(y(v))}" r="3" fill="${color}"/>`);
+        });
+      }
+    });
+  } else {
+    const groupWidth = band * 0.8;
+    const barWidth = type === 'stacked_bar' ? groupWidth : groupWidth / chart.series.length;
+    chart.categories.forEach((_, i) => {
+      let positive = 0;
+      let negative = 0;
+      chart.series.forEach((s, si) => {
+        const v = s.values[i];
+        if (typeof v !== 'number' || v === 0) return;
+        let from = 0;
+        if (type === 'stacked_bar') {
+          from = v > 0 ? positive : negative;
+          if (v > 0) positive += v; else negative += v;
+        }
+        const barX = plot.left + band * i + (band - groupWidth) / 2 + (type === 'stacked_bar' ? 0 : si * barWidth);
+        const [y1, y2] = [y(from), y(from + v)].sort((a, b) => a - b);
+        parts.push(`<rect x="${roundStat(barX)}" y="${roundStat(y1)}" width="${roundStat(Math.max(barWidth - 1, 1))}" height="${roundStat(Math.max(y2 - y1, 0.5))}" fill="${CHART_COLORS[si % CHART_COLORS.length]}"/>`);
+      });
+    });
+  }
+
+  parts.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${roundStat(y(0))}" y2="${roundStat(y(0))}" stroke="#999"/>`);
+  if (chart.series.length > 1) {
+    parts.push(renderLegend(chart.series, 34));
+  }
+  return parts.join('\n');
+}
+
+function renderPieChart(chart) {
+  const slices = chart.categories
+    .map((category, i) => ({ name: category, value: chart.series[0].values[i] }))
+    .filter(s => typeof s.value === 'number' && s.value > 0)
+    .sort((a, b) => b.value - a.value);
+  if (slices.length === 0) {
+    throw new Error('a pie chart needs positive values');
+  }
+  if (chart.series.length > 1) {
+    chart.notes.push(`pie shows ${chart.series[0].name} only`);
+  }
+  if (slices.length > PIE_MAX_SLICES) {
+    const rest = slices.splice(PIE_MAX_SLICES - 1);
+    slices.push({ name: `Other (${rest.length})`, value: rest.reduce((sum, s) => sum + s.value, 0) });
+  }
+
+  const total = slices.reduce((sum, s) => sum + s.value, 0);
+  const [cx, cy, r] = [260, 245, 170];
+  const parts = [];
+  let angle = -Math.PI / 2;
+  slices.forEach((slice, i) => {
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    const sweep = (slice.value / total) * Math.PI * 2;
+    if (slices.length === 1) {
+      parts.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}"/>`);
+    } else {
+      const [x1, y1] = [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+      const [x2, y2] = [cx + r * Math.cos(angle + sweep), cy + r * Math.sin(angle + sweep)];
+      parts.push(`<path d="M${cx} ${cy} L${roundStat(x1)} ${roundStat(y1)} A${r} ${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${roundStat(x2)} ${roundStat(y2)} Z" fill="${color}" stroke="#fff"/>`);
+    }
+    angle += sweep;
+    const ly = 90 + i * 24;
+    parts.push(`<rect x="480" y="${ly}" width="12" height="12" fill="${color}"/>`);
+    parts.push(svgText(500, ly + 10, `${truncateLabel(slice.name, 26)}: ${formatChartNumber(slice.value)} (${roundStat((slice.value / total) * 100)}%)`, 'font-size="12"'));
+  });
+  return parts.join('\n');
+}
+
+function renderChartSvg(chart, type) {
+  const body = type === 'pie' ? renderPieChart(chart) : renderAxesChart(chart, type);
+  const note = chart.notes.length ? svgText(CHART_WIDTH - 10, CHART_HEIGHT - 8, `(${chart.notes.join('; ')})`, 'font-size="10" text-anchor="end" fill="#888"') : '';
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" font-family="${CHART_FONT}">`,
+    `<rect width="100%" height="100%" fill="#fff"/>`,
+    svgText(CHART_WIDTH / 2, 24, truncateLabel(chart.title, 90), 'font-size="15" font-weight="bold" text-anchor="middle"'),
+    body,
+    note,
+    '</svg>',
+  ].join('\n');
+}
+
+// Chart query results as MCP image content; the rows still come back as text alongside it
+async function renderQueryChart(accessToken, queryId, results, args) {
+  const chart = await buildChartData(accessToken, queryId, results);
+  const type = !args.chart_type || args.chart_type === 'auto' ? autoChartType(chart) : args.chart_type;
+  const svg = renderChartSvg(chart, type);
+  if (args.chart_format === 'svg') {
+    return { type: 'image', data: Buffer.from(svg).toString('base64'), mimeType: 'image/svg+xml' };
+  }
+  const png = new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' } }).render().asPng();
+  return { type: 'image', data: png.toString('base64'), mimeType: 'image/png' };
+}
+
+// Query tool result with an optional chart; a chart that can't be drawn doesn't fail the query
+async function withChart(accessToken, text, queryId, results, args) {
+  if (!args.render || !Array.isArray(results) || results.length === 0) {
+    return text;
+  }
+  try {
+    const image = await renderQueryChart(accessToken, queryId, results, args);
+    return new ToolContent([{ type: 'text', text }, image]);
+  } catch (error) {
+    if (error instanceof LookerApiError) {
+      throw error;
+    }
+    return `${text}\n\nChart not rendered: ${error.message}.`;
+  }
+}
+
+// ==================== LookML git ====================
+
+// LookML validation of a large project can take minutes
+const LOOKML_VALIDATION_TIMEOUT_MS = 600000;
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_MAX_CELLS = 4000000;
+
+// Line edits turning a into b: the common prefix and suffix are trimmed, then an LCS table
+// is walked over the rest. Very large rewrites fall back to remove-all/add-all.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    ops.push(...midA.map(line => ['-', line]), ...midB.map(line => ['+', line]));
+  } else {
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push([' ', midA[i++]]);
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push(['-', midA[i++]]);
+      } else {
+        ops.push(['+', midB[j++]]);
+      }
+    }
+  }
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+  return ops;
+}
+
+// Unified diff between two versions of a file; null content means the file doesn't exist
+// on that side. Returns '' when nothing changed.
+function unifiedDiff(oldText, newText, name) {
+  const split = text => (text ? text.replace(/\n$/, '').split('\n') : []);
+  const ops = diffLines(split(oldText), split(newText));
+  if (ops.every(([op]) => op === ' ')) {
+    return '';
+  }
+
+  const oldAt = [];
+  const newAt = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const [op] of ops) {
+    oldAt.push(oldLine);
+    newAt.push(newLine);
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+  }
+
+  // Each change with its context lines; overlapping ranges merge into one hunk
+  const hunks = [];
+  ops.forEach(([op], i) => {
+    if (op === ' ') return;
+    const from = Math.max(0, i - DIFF_CONTEXT_LINES);
+    const to = Math.min(ops.length, i + DIFF_CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  const lines = [
+    `--- ${oldText == null ? '/dev/null' : `a/${name}`}`,
+    `+++ ${newText == null ? '/dev/null' : `b/${name}`}`,
+  ];
+  for (const { from, to } of hunks) {
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(([op]) => op !== '+').length;
+    const newCount = hunk.filter(([op]) => op !== '-').length;
+    lines.push(
+      `@@ -${oldCount ? oldAt[from] : oldAt[from] - 1},${oldCount} +${newCount ? newAt[from] : newAt[from] - 1},${newCount} @@`,
+      ...hunk.map(([op, line]) => `${op}${line}`),
+    );
+  }
+  return lines.join('\n');
+}
+
+// Looker's project validation, with each problem reduced to where it is and what's wrong
+async function validateLookml(accessToken, projectId, options = {}) {
+  const validation = await lookerApiCall(accessToken, 'POST', apiPath`/api/4.0/projects/${projectId}/validate`, null, {
+    signal: options.signal,
+    timeoutMs: LOOKML_VALIDATION_TIMEOUT_MS,
+  });
+  const errors = (validation?.errors || []).map(e => ({
+    severity: e.severity,
+    kind: e.kind,
+    message: e.message,
+    file: e.file_path,
+    line: e.line_number,
+    model: e.model_id,
+    explore: e.explore,
+    field: e.field_name,
+    help_url: e.help_url,
+  }));
+  const blocking = errors.filter(e => e.severity === 'error' || e.severity === 'fatal');
+  return {
+    project_id: projectId,
+    valid: blocking.length === 0,
+    error_count: blocking.length,
+    warning_count: errors.length - blocking.length,
+    errors,
+    models_not_validated: validation?.models_not_validated?.length ? validation.models_not_validated : undefined,
+  };
+}
+
+async function listBranches(accessToken, projectId, options) {
+  const [branches, current] = await Promise.all([
+    lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${projectId}/git_branches`, null, options),
+    lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${projectId}/git_branch`, null, options),
+  ]);
+  return {
+    current: current?.name,
+    branches: (branches || []).map(b => ({
+      name: b.name,
+      current: b.name === current?.name,
+      personal: b.personal,
+      production: b.is_production,
+      readonly: b.readonly,
+      ahead: b.ahead_count,
+      behind: b.behind_count,
+      ref: b.ref,
+    })),
+  };
+}
+
+// Diff of the dev workspace against production, for the files git reports as changed.
+// The Looker API only serves file contents from the session's workspace, so production
+// contents are read by switching this token's session to production and back, as dev_mode
+// does. Other calls on the token wait for the switch (withWorkspaceSwitch).
+async function getProjectDiff(accessToken, args, options) {
+  const session = await lookerApiCall(accessToken, 'GET', '/api/4.0/session', null, options);
+  if (session.workspace_id !== 'dev') {
+    throw new Error('The session is not in dev mode, so there are no uncommitted changes to show. Call dev_mode with enable: true first.');
+  }
+  const files = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${args.project_id}/files`, null, options);
+  const changed = (files || []).filter(f => f.git_status?.action && (!args.file_id || f.id === args.file_id));
+  if (changed.length === 0) {
+    return { project_id: args.project_id, files: [], diff: '' };
+  }
+
+  const readFiles = async (readOptions) => Promise.all(changed.map(f =>
+    lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${args.project_id}/files/${f.id}`, null, readOptions)
+      .then(file => file?.content ?? null)
+      .catch(error => {
+        if (error instanceof LookerApiError && error.status === 404) return null;
+        throw error;
+      })));
+
+  const devContents = await readFiles(options);
+  let restoreError;
+  let productionContents;
+  try {
+    productionContents = await withWorkspaceSwitch(accessToken, async () => {
+      const switchOptions = { ...options, workspaceSwitch: true };
+      await lookerApiCall(accessToken, 'PATCH', '/api/4.0/session', { workspace_id: 'production' }, switchOptions);
+      try {
+        return await readFiles(switchOptions);
+      } finally {
+        // Not aborted with the tool call: the session must always go back to dev. A failure is
+        // logged rather than thrown here, so it can't replace an error from reading the files
+        await lookerApiCall(accessToken, 'PATCH', '/api/4.0/session', { workspace_id: 'dev' }, { workspaceSwitch: true })
+          .catch(error => {
+            restoreError = error;
+            console.error(`[Looker] Could not switch the session back to dev mode after get_diff: ${error.message}`);
+          });
+      }
+    });
+  } finally {
+    if (restoreError) {
+      // Models and explores differ between workspaces
+      const me = await getLookerUser(accessToken).catch(() => null);
+      if (me) invalidateUserMetadata(me.id);
+    }
+  }
+  if (restoreError) {
+    throw new Error(`Could not switch the Looker session back to dev mode after reading production (${restoreError.message}). The session is now in the production workspace: call dev_mode with enable: true before any other LookML work.`);
+  }
+
+  return {
+    project_id: args.project_id,
+    files: changed.map(f => ({ file: f.path || f.id, status: f.git_status.action })),
+    diff: changed
+      .map((f, i) => unifiedDiff(productionContents[i], devContents[i], f.path || f.id))
+      .filter(Boolean)
+      .join('\n'),
+  };
+}
+
+// Production LookML changed for every user after a deploy
+function invalidateAllUserMetadata() {
+  let removed = 0;
+  for (const key of metadataCache.keys()) {
+    if (key.includes('|user:')) {
+      metadataCache.delete(key);
+      removed++;
+    }
+  }
+  metadataCacheStats.invalidations++;
+  console.log(`[Cache] Invalidated ${removed} metadata entries for all users`);
+}
+
+// Deploys only go ahead when LookML validation passes; warnings don't block
+async function deployToProduction(accessToken, args, options) {
+  const validation = await validateLookml(accessToken, args.project_id, options);
+  if (!validation.valid) {
+    const problems = validation.errors
+      .filter(e => e.severity === 'error' || e.severity === 'fatal')
+      .slice(0, 20)
+      .map(e => `- ${e.file || 'project'}${e.line ? `:${e.line}` : ''}: ${e.message}`);
+    throw new Error([
+      `Not deployed: LookML validation found ${validation.error_count} error(s) in ${args.project_id}.`,
+      ...problems,
+      'Fix them and run validate_lookml again before deploying.',
+    ].join('\n'));
+  }
+  await lookerApiCall(accessToken, 'POST', apiPath`/api/4.0/projects/${args.project_id}/deploy_to_production`, null, options);
+  invalidateAllUserMetadata();
+  return { project_id: args.project_id, deployed: true, warning_count: validation.warning_count };
+}
+
+// ==================== LookML file edits ====================
+
+// A short content hash handed out with file reads, so a write can be refused if the file
+// changed in between (optimistic concurrency)
+function fileVersion(content) {
+  return createHash('sha256').update(content ?? '').digest('hex').slice(0, 16);
+}
+
+async function readProjectFile(accessToken, projectId, fileId, options) {
+  try {
+    const file = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${projectId}/files/${fileId}`, null, options);
+    return file?.content ?? '';
+  } catch (error) {
+    if (error instanceof LookerApiError && error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Apply search/replace hunks in order; each search text must match exactly once
+function applySearchReplaceEdits(content, edits) {
+  return edits.reduce((result, edit, i) => {
+    const count = result.split(edit.search).length - 1;
+    if (count !== 1) {
+      throw new Error(`edits[${i}]: the search text ${count === 0
+        ? 'was not found in the file. Read the file again with get_project_file and copy the text exactly'
+        : `matches ${count} places; include more surrounding lines so it matches exactly once`}.`);
+    }
+    return result.replace(edit.search, () => edit.replace);
+  }, content);
+}
+
+// Parameters whose value is free text running up to ";;"
+const LOOKML_BLOCK_KEYS = /^(sql\w*|html|expression\w*)$/;
+
+// A local structure check of proposed content: balanced braces and brackets, closed strings
+// and ";;" blocks. It is not LookML validation - fields, joins and SQL references are only
+// checked by Looker (validate_lookml) once the change is applied.
+function checkLookmlStructure(content) {
+  const errors = [];
+  const open = [];
+  let line = 1;
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+    if (c === '\n') {
+      line++;
+      i++;
+    } else if (c === '#') {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (c === '"') {
+      const end = content.slice(i + 1).search(/(?<!\\)["\n]/);
+      if (end === -1 || content[i + 1 + end] === '\n') {
+        errors.push({ line, message: 'unterminated string' });
+        i = end === -1 ? content.length : i + 1 + end;
+      } else {
+        i += end + 2;
+      }
+    } else if (c === '{' || c === '[') {
+      open.push({ char: c, line });
+      i++;
+    } else if (c === '}' || c === ']') {
+      const expected = c === '}' ? '{' : '[';
+      if (open[open.length - 1]?.char === expected) {
+        open.pop();
+      } else {
+        errors.push({ line, message: `unexpected "${c}"${open.length ? ` (the "${open[open.length - 1].char}" on line ${open[open.length - 1].line} is still open)` : ''}` });
+      }
+      i++;
+    } else if (/[a-z_]/i.test(c) && !/\w/.test(content[i - 1] || '')) {
+      const key = /^(\w+)\s*:(?!:)/.exec(content.slice(i, i + 100));
+      if (key && LOOKML_BLOCK_KEYS.test(key[1])) {
+        const end = content.indexOf(';;', i + key[0].length);
+        if (end === -1) {
+          // The rest of the file is swallowed by the block, so nothing after it can be checked
+          errors.push({ line, message: `${key[1]} is missing its closing ";;"` });
+          return errors;
+        }
+        line += (content.slice(i, end).match(/\n/g) || []).length;
+        i = end + 2;
+      } else {
+        i += key ? key[0].length : 1;
+      }
+    } else {
+      i++;
+    }
+  }
+  for (const unclosed of open) {
+    errors.push({ line: unclosed.line, message: `"${unclosed.char}" is never closed` });
+  }
+  return errors;
+}
+
+// create_project_file and update_project_file: whole-content or search/replace edits, refused if
+// the file changed since the caller read it, and previewable as a diff with dry_run
+async function writeProjectFile(accessToken, toolName, args, options) {
+  const creating = toolName === 'create_project_file';
+  const fileId = creating ? args.file_name : args.file_id;
+  const current = await readProjectFile(accessToken, args.project_id, fileId, options);
+
+  if (creating && current !== null) {
+    throw new Error(`${fileId} already exists in project ${args.project_id}. Use update_project_file to change it.`);
+  }
+  if (!creating) {
+    if (current === null) {
+      throw new Error(`${fileId} does not exist in project ${args.project_id}. Use get_project_files to list the files.`);
+    }
+    if ((args.content === undefined) === (args.edits === undefined)) {
+      throw new Error('Pass either content (the whole new file) or edits (search/replace hunks), not both.');
+    }
+    if (args.expected_version && args.expected_version !== fileVersion(current)) {
+      throw new Error(`${fileId} has changed since it was read (expected version ${args.expected_version}, now ${fileVersion(current)}). ` +
+        'Read it again with get_project_file and redo the change against the new content.');
+    }
+  }
+
+  const proposed = args.edits ? applySearchReplaceEdits(current, args.edits) : args.content;
+  const structureErrors = fileId.endsWith('.lkml') ? checkLookmlStructure(proposed) : [];
+  const diff = unifiedDiff(current, proposed, fileId);
+
+  if (args.dry_run) {
+    return {
+      dry_run: true,
+      file: fileId,
+      version: creating ? undefined : fileVersion(current),
+      diff: diff || '(no changes)',
+      structure_check: {
+        passed: structureErrors.length === 0,
+        errors: structureErrors,
+        checks: 'Brackets, strings and ;; blocks only. Not LookML validation: fields, joins and SQL are not checked.',
+      },
+      note: 'Nothing was changed. Apply with the same arguments minus dry_run (pass version as expected_version), then run validate_lookml to validate the LookML.',
+    };
+  }
+
+  if (creating) {
+    await lookerApiCall(accessToken, 'POST', apiPath`/api/4.0/projects/${args.project_id}/files`, { path: fileId, content: proposed }, options);
+  } else {
+    await lookerApiCall(accessToken, 'PATCH', apiPath`/api/4.0/projects/${args.project_id}/files/${fileId}`, { content: proposed }, options);
+  }
+  return {
+    file: fileId,
+    version: fileVersion(proposed),
+    diff: diff || '(no changes)',
+    structure_errors: structureErrors.length ? structureErrors : undefined,
+  };
+}
+
+// ==================== Exports ====================
+
+// Files are built by Looker: render tasks for PDF/PNG, the run endpoints for CSV/XLSX
+const RENDER_TASK_TIMEOUT_MS = parseInt(process.env.RENDER_TASK_TIMEOUT_MS || '300000', 10);
+const EXPORT_MAX_BYTES = parseInt(process.env.EXPORT_MAX_BYTES || String(20 * 1024 * 1024), 10);
+
+const EXPORT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Which formats each kind of content can be exported as
+const EXPORT_SUPPORT = {
+  dashboard: ['pdf', 'png', 'csv', 'xlsx'],
+  look: ['png', 'csv', 'xlsx'],
+  query: ['png', 'csv', 'xlsx'],
+};
+
+function exportFilename(title, fallback, format) {
+  const base = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+  return `${base || fallback}.${format}`;
+}
+
+// Start a render task and wait for it, returning the rendered file
+async function runRenderTask(accessToken, path, body, { signal, onProgress, label }) {
+  const task = await lookerApiCall(accessToken, 'POST', path, body, { signal });
+  const startedAt = Date.now();
+  let interval = QUERY_POLL_INTERVAL_MS;
+  let finished = false;
+  try {
+    while (true) {
+      const status = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/render_tasks/${task.id}`, null, { signal });
+      finished = status.status === 'success' || status.status === 'failure';
+      if (status.status === 'success') {
+        return await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/render_tasks/${task.id}/results`, null, { signal, binary: true });
+      }
+      if (status.status === 'failure') {
+        throw new Error(`${label} failed in Looker: ${status.status_detail || 'no details given'}`);
+      }
+      const elapsed = Date.now() - startedAt;
+      if (elapsed > RENDER_TASK_TIMEOUT_MS) {
+        throw new Error(`${label} did not finish within ${Math.round(RENDER_TASK_TIMEOUT_MS / 1000)}s and was cancelled. Try a smaller page size or fewer tiles.`);
+      }
+      onProgress?.(`${label} ${(status.status || 'running').replace(/_/g, ' ')} (${Math.round(elapsed / 1000)}s)`);
+      await sleep(interval, undefined, { signal });
+      interval = Math.min(interval * 1.5, QUERY_POLL_MAX_INTERVAL_MS);
+    }
+  } catch (error) {
+    if (!finished) {
+      cancelRenderTask(accessToken, task, startedAt);
+    }
+    throw signal?.aborted ? signal.reason : error;
+  }
+}
+
+// Looker has no endpoint to cancel a render task, so an abandoned export kills the queries the
+// task is running instead: the user's running queries from a render that started with the task.
+// Listing running queries needs the see_queries permission; without it the task is left to finish.
+function cancelRenderTask(accessToken, task, startedAt) {
+  console.log(`[Looker API] Cancelling the queries of render task ${task.id}`);
+  Promise.all([getLookerUser(accessToken), lookerApiCall(accessToken, 'GET', '/api/4.0/running_queries')])
+    .then(([me, running]) => Promise.all((running || [])
+      .filter(q => String(q.user?.id) === String(me.id)
+        && /render/i.test(q.source || '')
+        && Date.parse(q.created_at) >= startedAt - 1000)
+      .map(q => lookerApiCall(accessToken, 'DELETE', apiPath`/api/4.0/running_queries/${q.query_task_id}`))))
+    .catch(e => console.error(`[Looker API] Failed to cancel render task ${task.id}:`, e.message));
+}
+
+function renderSizeParams(args) {
+  return `width=${args.width || 1280}&height=${args.height || 1024}`;
+}
+
+// Dashboards: PDF/PNG as one rendered file, CSV/XLSX as one file per tile
+async function exportDashboard(accessToken, args, options) {
+  const dashboard = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/dashboards/${args.dashboard_id}`, null, options);
+  const filterValues = resolveDashboardFilters(dashboard.dashboard_filters || [], args.filters);
+
+  if (args.format === 'pdf' || args.format === 'png') {
+    let path = `${apiPath`/api/4.0/render_tasks/dashboards/${args.dashboard_id}/${args.format}`}?${renderSizeParams(args)}`;
+    if (args.format === 'pdf') {
+      path += `&pdf_paper_size=${encodeURIComponent(args.pdf_paper_size || 'a4')}&pdf_landscape=${Boolean(args.pdf_landscape)}&long_tables=true`;
+    }
+    const data = await runRenderTask(accessToken, path, {
+      dashboard_style: args.dashboard_style || 'tiled',
+      dashboard_filters: new URLSearchParams([...filterValues]).toString(),
+    }, { ...options, label: `Dashboard ${args.dashboard_id} export` });
+    return [{ name: exportFilename(dashboard.title, `dashboard_${args.dashboard_id}`, args.format), data }];
+  }
+
+  const elements = selectTiles((dashboard.dashboard_elements || []).filter(e => elementQuery(e)), args.tiles);
+  let done = 0;
+  return mapWithConcurrency(elements, DASHBOARD_TILE_CONCURRENCY, async (element) => {
+    const { queryId } = await tileQueryId(accessToken, element, filterValues, options);
+    const data = await lookerApiCall(accessToken, 'GET', `${apiPath`/api/4.0/queries/${queryId}/run/${args.format}`}?apply_formatting=true`, null, { ...options, binary: true });
+    options.onProgress?.(`Exported ${++done}/${elements.length} tiles`);
+    return { name: exportFilename(`${dashboard.title || ''} ${element.title || ''}`, `tile_${element.id}`, args.format), data };
+  });
+}
+
+async function exportLookOrQuery(accessToken, kind, args, options) {
+  const id = kind === 'look' ? args.look_id : args.query_id;
+  let title = `${kind}_${id}`;
+  if (kind === 'look') {
+    title = (await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/looks/${id}`, null, options)).title || title;
+  }
+  const plural = kind === 'look' ? 'looks' : 'queries';
+  let data;
+  if (args.format === 'png') {
+    data = await runRenderTask(accessToken, `${apiPath`/api/4.0/render_tasks/${plural}/${id}/png`}?${renderSizeParams(args)}`, null, {
+      ...options,
+      label: `${kind === 'look' ? 'Look' : 'Query'} ${id} export`,
+    });
+  } else {
+    data = await lookerApiCall(accessToken, 'GET', `${apiPath`/api/4.0/${plural}/${id}/run/${args.format}`}?apply_formatting=true`, null, { ...options, binary: true });
+  }
+  return [{ name: exportFilename(title, `${kind}_${id}`, args.format), data }];
+}
+
+// Export a dashboard, Look or query as files, returned as MCP embedded resources
+async function exportContent(accessToken, args, options) {
+  const ids = ['dashboard_id', 'look_id', 'query_id'].filter(key => args[key] !== undefined);
+  if (ids.length !== 1) {
+    throw new Error('Pass exactly one of dashboard_id, look_id or query_id');
+  }
+  const kind = ids[0].replace('_id', '');
+  if (!EXPORT_SUPPORT[kind].includes(args.format)) {
+    throw new Error(`A ${kind} can't be exported as ${args.format}. Supported formats: ${EXPORT_SUPPORT[kind].join(', ')}`);
+  }
+
+  const files = kind === 'dashboard'
+    ? await exportDashboard(accessToken, args, options)
+    : await exportLookOrQuery(accessToken, kind, args, options);
+
+  const total = files.reduce((sum, file) => sum + file.data.length, 0);
+  if (total > EXPORT_MAX_BYTES) {
+    throw new Error(`Export is ${Math.round(total / 1024 / 1024)}MB, over the ${Math.round(EXPORT_MAX_BYTES / 1024 / 1024)}MB limit. Export fewer tiles or add filters.`);
+  }
+  const mimeType = EXPORT_MIME_TYPES[args.format];
+  return new ToolContent([
+    { type: 'text', text: `Exported ${files.length === 1 ? files[0].name : `${files.length} files: ${files.map(f => f.name).join(', ')}`} (${Math.ceil(total / 1024)}KB).` },
+    ...files.map(file => ({
+      type: 'resource',
+      resource: { uri: `looker://export/${kind}/${encodeURIComponent(args[ids[0]])}/${encodeURIComponent(file.name)}`, mimeType, blob: file.data.toString('base64') },
+    })),
+  ]);
+}
+
+// ==================== Argument validation ====================
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+// Check a value against the JSON Schema subset used by our tool inputSchemas.
+// Objects that declare properties accept no others unless additionalProperties allows them.
+// Returns a list of { path, message } for every failing property.
+function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const label = path || '(arguments)';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: label, message: `expected ${schema.type}, got ${describeType(value)}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push({ path: label, message: 'must not be empty' });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${label}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    const prefix = path ? `${path}.` : '';
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push({ path: `${prefix}${name}`, message: 'is required' });
+      }
+    }
+    for (const [name, propValue] of Object.entries(value)) {
+      if (propValue === undefined || propValue === null) continue;
+      const propSchema = schema.properties?.[name];
+      if (propSchema) {
+        errors.push(...validateSchema(propSchema, propValue, `${prefix}${name}`));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propValue, `${prefix}${name}`));
+      } else if (schema.additionalProperties === false || (schema.properties && schema.additionalProperties !== true)) {
+        errors.push({ path: `${prefix}${name}`, message: 'is not a known property' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+function invalidParamsError(message, data) {
+  const error = new Error(message);
+  error.code = -32602;
+  error.data = data;
+  return error;
+}
+
+// Validate tools/call arguments against the tool's inputSchema as tools/list shows it
+function validateToolArguments(toolName, args) {
+  const tool = tools.find(t => t.name === toolName);
+  if (!tool) {
+    throw invalidParamsError(`Unknown tool: ${toolName}`, { tool: toolName });
+  }
+  const errors = validateSchema(listedTool(tool).inputSchema, args);
+  if (errors.length > 0) {
+    const details = errors.map(e => `${e.path} ${e.message}`).join('; ');
+    throw invalidParamsError(`Invalid arguments for tool ${toolName}: ${details}`, { tool: toolName, errors });
+  }
+}
+
+// ==================== Tool errors ====================
+
+const FIELD_NAME_PATTERN = /\b[a-z_][a-z0-9_]*\.[a-z_][a-z0-9_]*\b/gi;
+
+// Field names that Looker complained about, from the errors array or the message text
+function extractErrorFields(error, args) {
+  const requested = new Set([
+    ...(args.fields || []),
+    ...(args.sorts || []).map(s => s.split(' ')[0]),
+    ...(args.pivots || []),
+    ...Object.keys(args.filters || {}),
+  ]);
+  const fields = new Set();
+  for (const e of error.errors) {
+    for (const match of `${e.field || ''} ${e.message || ''}`.match(FIELD_NAME_PATTERN) || []) {
+      if (requested.has(match)) fields.add(match);
+    }
+  }
+  for (const match of error.lookerMessage.match(FIELD_NAME_PATTERN) || []) {
+    if (requested.has(match)) fields.add(match);
+  }
+  return [...fields];
+}
+
+// Hints telling the model how to correct the call that failed
+function toolErrorHints(error, toolName, args) {
+  const hints = [];
+  const explore = args.model && args.explore ? `${args.model}/${args.explore}` : null;
+
+  switch (error.status) {
+    case 403:
+      hints.push('Your Looker user does not have permission for this content or action. Do not retry with the same arguments.');
+      break;
+    case 404:
+      if (error.path.startsWith('/api/4.0/lookml_models')) {
+        hints.push('The model or explore was not found. Use get_models and get_explores to list valid names.');
+      } else {
+        hints.push('The requested Looker object was not found. Check the id, e.g. with get_dashboards, get_looks or get_projects.');
+      }
+      break;
+    case 429:
+      hints.push('Looker is rate limiting requests. Wait a moment before retrying.');
+      break;
+    default:
+      if (error.status >= 500) {
+        hints.push('Looker had an internal error. Retrying the same call later may succeed.');
+      }
+  }
+
+  if (error.status === 400 || error.status === 422) {
+    const badFields = extractErrorFields(error, args);
+    const message = `${error.lookerMessage} ${error.errors.map(e => e.message).join(' ')}`.toLowerCase();
+    if (badFields.length > 0) {
+      hints.push(`Problem with field(s): ${badFields.join(', ')}.`);
+    }
+    if (message.includes('filter')) {
+      hints.push('Filter values must be Looker filter expressions, e.g. {"sales.booking_date": "7 days"}, {"sales.brand": "loveholidays"} or {"sales.count": ">100"}.');
+    }
+    if (badFields.length > 0 || message.includes('field')) {
+      hints.push(explore
+        ? `Use get_dimensions and get_measures for ${explore} to find valid field names.`
+        : 'Use get_dimensions and get_measures to find valid field names.');
+    }
+  }
+
+  return hints;
+}
+
+// Turn a failed tool execution into an MCP tool result the model can read and act on
+function toolErrorResult(error, toolName, args) {
+  const lines = [];
+  if (error instanceof LookerApiError) {
+    lines.push(`Looker API error ${error.status} (${error.method} ${error.path.split('?')[0]}): ${error.lookerMessage}`);
+    for (const e of error.errors) {
+      lines.push(`- ${[e.field, e.message].filter(Boolean).join(': ')}`);
+    }
+    lines.push(...toolErrorHints(error, toolName, args).map(h => `Hint: ${h}`));
+    if (error.documentationUrl) {
+      lines.push(`Documentation: ${error.documentationUrl}`);
+    }
+  } else {
+    lines.push(`Tool ${toolName} failed: ${error.message}`);
+  }
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }],
+    isError: true,
+  };
+}
+
+// ==================== Audit log ====================
+
+// Append-only JSONL record of every tool call, for data governance reviews
+mkdirSync(dirname(AUDIT_LOG_FILE), { recursive: true });
+const auditLog = createWriteStream(AUDIT_LOG_FILE, { flags: 'a' });
+auditLog.on('error', error => console.error('[Audit] Failed to write audit log:', error.message));
+
+const REDACTED_ARG_PATTERN = /token|secret|password|authorization|api_?key/i;
+const MAX_AUDIT_STRING_LENGTH = 500;
+
+// Argument values as recorded in the audit log: secrets masked, long strings (file content) truncated
+function redactArgs(value, key = '') {
+  if (REDACTED_ARG_PATTERN.test(key)) {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string' && value.length > MAX_AUDIT_STRING_LENGTH) {
+    return `${value.slice(0, MAX_AUDIT_STRING_LENGTH)}... [${value.length} chars]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => redactArgs(v));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]));
+  }
+  return value;
+}
+
+// Note a Looker query created or run by a tool call; rows are only known once it has run
+function recordAuditQuery(audit, query, rows) {
+  if (!audit) return;
+  audit.queries.push({
+    query_id: query.id,
+    slug: query.slug,
+    row_count: Array.isArray(rows) ? rows.length : undefined,
+  });
+}
+
+// Write the audit entry for a finished tool call. Never blocks or fails the call itself.
+function recordToolCall(context, audit, outcome, result) {
+  const latencyMs = Date.now() - audit.startedAt;
+  getLookerUser(context.accessToken)
+    .catch(() => null)
+    .then(user => {
+      const rowCounts = audit.queries.map(q => q.row_count).filter(n => n !== undefined);
+      const entry = {
+        ts: new Date().toISOString(),
+        session_id: context.session?.id,
+        user: user ? { id: user.id, email: user.email, name: user.display_name } : null,
+        tool: audit.tool,
+        args: redactArgs(audit.args),
+        outcome,
+        error: result?.isError ? result.content[0].text.split('\n')[0] : undefined,
+        queries: audit.queries.length > 0 ? audit.queries : undefined,
+        row_count: rowCounts.length > 0 ? rowCounts.reduce((a, b) => a + b, 0) : undefined,
+        latency_ms: latencyMs,
+      };
+      auditLog.write(`${JSON.stringify(entry)}\n`);
+    });
+}
+
+// GET /audit?user=<email or id>&from=<ISO time>&to=<ISO time>&tool=<name>&limit=<n>
+// Only Looker users listed in AUDIT_ADMINS may read the log. Express 4 doesn't catch
+// rejected handlers, so failures are answered here instead of crashing the proxy.
+async function handleAuditQuery(req, res) {
+  try {
+    await queryAuditLog(req, res);
+  } catch (error) {
+    console.error('[Audit] Failed to read the audit log:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to read the audit log' });
+    }
+  }
+}
+
+// Lines of a file from last to first, read in chunks from its end
+async function* readLinesBackwards(path, chunkSize = 64 * 1024) {
+  let file;
+  try {
+    file = await open(path, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  try {
+    let position = (await file.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await file.read(chunk, 0, length, position);
+      // Split on bytes so multi-byte characters are never cut in half
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] === 0x0a) {
+          yield buffer.toString('utf8', i + 1, end);
+          end = i;
+        }
+      }
+      rest = buffer.subarray(0, end);
+    }
+    yield rest.toString('utf8');
+  } finally {
+    await file.close();
+  }
+}
+
+async function queryAuditLog(req, res) {
+  const accessToken = getAccessToken(req);
+  if (!accessToken) {
+    res.set('WWW-Authenticate', wwwAuthenticateHeader(req));
+    return res.status(401).json({ error: 'OAuth authentication required' });
+  }
+
+  let caller;
+  try {
+    caller = await getLookerUser(accessToken);
+  } catch (error) {
+    const status = error instanceof LookerApiError && error.status === 401 ? 401 : 502;
+    return res.status(status).json({ error: error.message });
+  }
+  if (!AUDIT_ADMINS.includes(caller.email?.toLowerCase())) {
+    console.warn(`[Audit] ${caller.email} tried to read the audit log`);
+    return res.status(403).json({ error: 'Not an audit admin' });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+  }
+  const user = req.query.user?.toLowerCase();
+  const limit = Math.min(parseInt(req.query.limit || '1000', 10) || 1000, 10000);
+
+  // The log is read from its end, newest entry first, and only as far back as needed
+  const entries = [];
+  for await (const line of readLinesBackwards(AUDIT_LOG_FILE)) {
+    if (!line) continue;
+    // A line cut short by a crash mid-write, or still being appended, is skipped
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const ts = new Date(entry.ts);
+    if (from && ts < from) break;
+    if (to && ts > to) continue;
+    if (req.query.tool && entry.tool !== req.query.tool) continue;
+    if (user && entry.user?.email?.toLowerCase() !== user && entry.user?.id !== req.query.user) continue;
+    entries.push(entry);
+    if (entries.length >= limit) break;
+  }
+  entries.reverse();
+
+  console.log(`[Audit] ${caller.email} read ${entries.length} audit entries`);
+  res.json({ count: entries.length, entries });
+}
 
-  // ==================== Projects & LookML ====================
-  {
-    name: 'get_projects',
-    description: 'Get all LookML projects in the Looker instance',
-    inputSchema: { type: 'object', properties: {}, required: [] },
-  },
-  {
-    name: 'get_project_files',
-    description: 'Get all LookML files in a project',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        project_id: { type: 'string', description: 'The project ID' },
-      },
-      required: ['project_id'],
-    },
-  },
-  {
-    name: 'get_project_file',
-    description: 'Get the contents of a LookML file',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        project_id: { type: 'string', description: 'The project ID' },
-        file_id: { type: 'string', description: 'The file ID' },
-      },
-      required: ['project_id', 'file_id'],
-    },
-  },
-  {
-    name: 'create_project_file',
-    description: 'Create a new LookML file in a project',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        project_id: { type: 'string', description: 'The project ID' },
-        file_name: { type: 'string', description: 'The file name' },
-        content: { type: 'string', description: 'The file content' },
-      },
-      required: ['project_id', 'file_name', 'content'],
-    },
-  },
-  {
-    name: 'update_project_file',
-    description: 'Update the content of a LookML file in a project',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        project_id: { type: 'string', description: 'The project ID' },
-        file_id: { type: 'string', description: 'The file ID' },
-        content: { type: 'string', description: 'The new file content' },
-      },
-      required: ['project_id', 'file_id', 'content'],
-    },
-  },
-  {
-    name: 'delete_project_file',
-    description: 'Delete a LookML file in a project',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        project_id: { type: 'string', description: 'The project ID' },
-        file_id: { type: 'string', description: 'The file ID' },
-      },
-      required: ['project_id', 'file_id'],
-    },
-  },
-  {
-    name: 'dev_mode',
-    description: 'Change the current session into or out of dev mode',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        enable: { type: 'boolean', description: 'Enable or disable dev mode' },
-      },
-      required: ['enable'],
-    },
-  },
+// ==================== Tool policy ====================
 
-  // ==================== Embedding ====================
-  {
-    name: 'generate_embed_url',
-    description: 'Generate an embeddable URL for Looker content',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        target_url: { type: 'string', description: 'The URL to embed' },
-        session_length: { type: 'integer', description: 'Session length in seconds' },
-        force_logout_login: { type: 'boolean', description: 'Force logout and login' },
-      },
-      required: ['target_url'],
-    },
-  },
+// Guardrails for which tools are offered and how they may be called. Loaded from
+// TOOL_POLICY_FILE (tool-policy.json next to this file by default):
+//
+//   readOnly               hide every tool that writes to Looker (annotations.readOnlyHint false)
+//   allowedTools           if set, only these tools are offered
+//   confirmationTtlSeconds how long a confirmation token stays valid (default 300)
+//   tools.<name>.enabled   false hides the tool
+//   tools.<name>.confirm   require a dry run + confirmation_token before the tool runs
+//   tools.<name>.allow     per-argument allowlists, e.g. { "project_id": ["sandbox", "team_*"] }
+//
+// TOOL_POLICY_READ_ONLY, TOOL_POLICY_ALLOWED_TOOLS and TOOL_POLICY_DISABLED_TOOLS env vars
+// override the file.
+function loadToolPolicy() {
+  let policy = {};
+  if (existsSync(TOOL_POLICY_FILE)) {
+    policy = JSON.parse(readFileSync(TOOL_POLICY_FILE, 'utf8'));
+    console.log(`[Policy] Loaded tool policy from ${TOOL_POLICY_FILE}`);
+  }
+  policy.tools = policy.tools || {};
 
-  // ==================== Health & Analysis ====================
-  {
-    name: 'health_pulse',
-    description: 'Perform health checks on a Looker instance (database connections, dashboard performance, etc)',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        action: { type: 'string', description: 'Health check action to perform' },
-      },
-      required: [],
-    },
-  },
-  {
-    name: 'health_analyze',
-    description: 'Analyze projects, models, and explores in a Looker instance',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        action: { type: 'string', description: 'Analysis action to perform' },
-        project: { type: 'string', description: 'Project to analyze' },
-        model: { type: 'string', description: 'Model to analyze' },
-      },
-      required: [],
-    },
-  },
-  {
-    name: 'health_vacuum',
-    description: 'Audit and identify unused LookML objects in a Looker instance',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        action: { type: 'string', description: 'Vacuum action to perform' },
-        project: { type: 'string', description: 'Project to audit' },
-      },
-      required: [],
-    },
-  },
+  if (process.env.TOOL_POLICY_READ_ONLY) {
+    policy.readOnly = process.env.TOOL_POLICY_READ_ONLY === 'true';
+  }
+  if (process.env.TOOL_POLICY_ALLOWED_TOOLS) {
+    policy.allowedTools = process.env.TOOL_POLICY_ALLOWED_TOOLS.split(',').map(t => t.trim()).filter(Boolean);
+  }
+  for (const name of (process.env.TOOL_POLICY_DISABLED_TOOLS || '').split(',').map(t => t.trim()).filter(Boolean)) {
+    policy.tools[name] = { ...policy.tools[name], enabled: false };
+  }
 
-  // ==================== Conversational Analytics ====================
-  {
-    name: 'conversational_analytics',
-    description: 'Use the Conversational Analytics API to analyze data from Looker using natural language',
+  for (const name of [...(policy.allowedTools || []), ...Object.keys(policy.tools)]) {
+    if (!tools.some(t => t.name === name)) {
+      console.warn(`[Policy] Tool policy refers to unknown tool: ${name}`);
+    }
+  }
+  return policy;
+}
+
+const toolPolicy = loadToolPolicy();
+
+// Outstanding confirmation tokens for destructive tool calls
+const pendingConfirmations = new Map();
+
+function isToolEnabled(tool) {
+  if (toolPolicy.readOnly && tool.annotations?.readOnlyHint === false) {
+    return false;
+  }
+  if (toolPolicy.allowedTools && !toolPolicy.allowedTools.includes(tool.name)) {
+    return false;
+  }
+  return toolPolicy.tools[tool.name]?.enabled !== false;
+}
+
+// A tool as tools/list shows it: confirmation_token advertised where the policy needs one
+function listedTool(tool) {
+  if (!toolPolicy.tools[tool.name]?.confirm) {
+    return tool;
+  }
+  return {
+    ...tool,
+    description: `${tool.description}. Requires confirmation: the first call returns a dry run and a confirmation_token; call again with the same arguments plus confirmation_token to apply.`,
     inputSchema: {
-      type: 'object',
+      ...tool.inputSchema,
       properties: {
-        question: { type: 'string', description: 'Natural language question to ask' },
-        model: { type: 'string', description: 'The model to query' },
-        explore: { type: 'string', description: 'The explore to query' },
+        ...tool.inputSchema.properties,
+        confirmation_token: { type: 'string', description: 'Token from the dry run of this exact call' },
       },
-      required: ['question'],
     },
-  },
-];
+  };
+}
+
+// The tools/list view of the tool set: disabled tools hidden
+function listAllowedTools() {
+  return tools.filter(isToolEnabled).map(listedTool);
+}
+
+function matchesAllowPattern(value, pattern) {
+  if (!pattern.includes('*')) {
+    return value === pattern;
+  }
+  const regex = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return regex.test(value);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function policyDeniedResult(message) {
+  return {
+    content: [{ type: 'text', text: `Blocked by tool policy: ${message}` }],
+    isError: true,
+  };
+}
 
-// Execute a tool
-async function executeTool(toolName, args, accessToken) {
+// What a destructive call would do, shown in its dry run
+function describeToolCall(toolName, args) {
+  switch (toolName) {
+    case 'delete_project_file':
+      return `delete ${args.file_id} from project ${args.project_id}`;
+    case 'update_project_file':
+      return args.edits
+        ? `apply ${args.edits.length} search/replace edit(s) to ${args.file_id} in project ${args.project_id} (call with dry_run: true to see the diff)`
+        : `overwrite ${args.file_id} in project ${args.project_id} with ${args.content?.length ?? 0} characters of new content (call with dry_run: true to see the diff)`;
+    case 'create_project_file':
+      return `create ${args.file_name} in project ${args.project_id} (${args.content.length} characters)`;
+    case 'dev_mode':
+      return `switch the Looker session to the ${args.enable ? 'development' : 'production'} workspace`;
+    default:
+      return `run ${toolName} with ${JSON.stringify(args)}`;
+  }
+}
+
+// Apply the tool policy to a tools/call. Returns a tool result to send instead of running the
+// tool (denial or dry run), or null if the call may go ahead.
+function applyToolPolicy(toolName, args, accessToken) {
+  const tool = tools.find(t => t.name === toolName);
+  if (!isToolEnabled(tool)) {
+    return policyDeniedResult(toolPolicy.readOnly && tool.annotations?.readOnlyHint === false
+      ? `${toolName} writes to Looker and this server is in read-only mode.`
+      : `${toolName} is disabled on this server.`);
+  }
+
+  const rules = toolPolicy.tools[toolName] || {};
+  for (const [argName, patterns] of Object.entries(rules.allow || {})) {
+    const value = args[argName];
+    if (value === undefined) continue;
+    const values = Array.isArray(value) ? value : [value];
+    const rejected = values.filter(v => !patterns.some(p => matchesAllowPattern(String(v), p)));
+    if (rejected.length > 0) {
+      return policyDeniedResult(`${argName} ${rejected.map(v => `"${v}"`).join(', ')} is not allowed for ${toolName}. Allowed: ${patterns.join(', ')}.`);
+    }
+  }
+
+  // The dry run of a tool that declares one changes nothing, so it needs no confirmation. Other
+  // tools ignore dry_run, so it must not skip their confirmation
+  if (!rules.confirm || (args.dry_run === true && tool.inputSchema.properties?.dry_run)) {
+    return null;
+  }
+
+  const { confirmation_token: token, ...callArgs } = args;
+  const fingerprint = `${toolName}:${stableStringify(callArgs)}:${tokenFingerprint(accessToken)}`;
+  const now = Date.now();
+  for (const [key, pending] of pendingConfirmations) {
+    if (pending.expiresAt < now) pendingConfirmations.delete(key);
+  }
+
+  if (token) {
+    const pending = pendingConfirmations.get(token);
+    if (pending?.fingerprint === fingerprint) {
+      pendingConfirmations.delete(token);
+      console.log(`[Policy] ${toolName} confirmed with token ${token.slice(0, 8)}`);
+      return null;
+    }
+    return policyDeniedResult('the confirmation_token is invalid, expired, or was issued for different arguments. Call the tool without confirmation_token to get a new dry run.');
+  }
+
+  const ttlSeconds = toolPolicy.confirmationTtlSeconds || 300;
+  const newToken = randomUUID();
+  pendingConfirmations.set(newToken, { fingerprint, expiresAt: now + ttlSeconds * 1000 });
+  return {
+    content: [{
+      type: 'text',
+      text: [
+        `Dry run only - nothing was changed. ${toolName} would ${describeToolCall(toolName, callArgs)}.`,
+        'Confirm with the user, then call the tool again with exactly the same arguments plus',
+        `"confirmation_token": "${newToken}" (valid for ${ttlSeconds}s).`,
+      ].join('\n'),
+    }],
+  };
+}
+
+// Execute a tool. options.signal cancels long-running Looker work, options.onProgress reports on it.
+async function executeTool(toolName, args, accessToken, options = {}) {
   if (!accessToken) {
     throw new Error('OAuth authentication required');
   }
@@ -486,12 +3103,12 @@ async function executeTool(toolName, args, accessToken) {
   switch (toolName) {
     // ==================== Models & Explores ====================
     case 'get_models': {
-      const models = await lookerApiCall(accessToken, 'GET', '/api/4.0/lookml_models');
+      const models = await cachedLookerGet(accessToken, '/api/4.0/lookml_models');
       return models.map(m => ({ name: m.name, label: m.label, has_content: m.has_content }));
     }
 
     case 'get_explores': {
-      const model = await lookerApiCall(accessToken, 'GET', `/api/4.0/lookml_models/${args.model}`);
+      const model = await cachedLookerGet(accessToken, apiPath`/api/4.0/lookml_models/${args.model}`);
       return model.explores?.map(e => ({
         name: e.name,
         label: e.label,
@@ -501,7 +3118,7 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'get_dimensions': {
-      const explore = await lookerApiCall(accessToken, 'GET', `/api/4.0/lookml_models/${args.model}/explores/${args.explore}`);
+      const explore = await getExplore(accessToken, args.model, args.explore);
       return explore.fields?.dimensions?.map(d => ({
         name: d.name,
         label: d.label,
@@ -515,7 +3132,7 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'get_measures': {
-      const explore = await lookerApiCall(accessToken, 'GET', `/api/4.0/lookml_models/${args.model}/explores/${args.explore}`);
+      const explore = await getExplore(accessToken, args.model, args.explore);
       return explore.fields?.measures?.map(m => ({
         name: m.name,
         label: m.label,
@@ -529,7 +3146,7 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'get_filters': {
-      const explore = await lookerApiCall(accessToken, 'GET', `/api/4.0/lookml_models/${args.model}/explores/${args.explore}`);
+      const explore = await getExplore(accessToken, args.model, args.explore);
       return explore.fields?.filters?.map(f => ({
         name: f.name,
         label: f.label,
@@ -539,7 +3156,7 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'get_parameters': {
-      const explore = await lookerApiCall(accessToken, 'GET', `/api/4.0/lookml_models/${args.model}/explores/${args.explore}`);
+      const explore = await getExplore(accessToken, args.model, args.explore);
       return explore.fields?.parameters?.map(p => ({
         name: p.name,
         label: p.label,
@@ -550,6 +3167,14 @@ async function executeTool(toolName, args, accessToken) {
       })) || [];
     }
 
+    case 'search_fields': {
+      return await searchFields(accessToken, args, options);
+    }
+
+    case 'get_field_values': {
+      return await getFieldValues(accessToken, args);
+    }
+
     // ==================== Queries ====================
     case 'query': {
       const query = {
@@ -562,10 +3187,26 @@ async function executeTool(toolName, args, accessToken) {
         limit: args.limit?.toString() || '500',
         query_timezone: args.tz,
       };
-      return await lookerApiCall(accessToken, 'POST', '/api/4.0/queries/run/json', query);
+      const cursor = args.cursor ? decodeCursor(args.cursor) : null;
+      let queryId = cursor?.query_id;
+      if (!queryId) {
+        await checkQuery(accessToken, args);
+        queryId = (await lookerApiCall(accessToken, 'POST', '/api/4.0/queries', query, options)).id;
+      }
+      // Filter values are checked while the query runs; the first page carries any warnings
+      const [results, warnings] = await Promise.all([
+        runQueryTask(accessToken, queryId, options),
+        cursor ? [] : filterValueWarnings(accessToken, args),
+      ]);
+      let text = shapeQueryResult(results, args, { toolName: 'query', queryId, offset: cursor?.offset });
+      if (warnings.length > 0) {
+        text = [...warnings.map(w => `Warning: ${w}`), 'Use get_field_values to look up valid values.', '', text].join('\n');
+      }
+      return withChart(accessToken, text, queryId, results, args);
     }
 
     case 'query_sql': {
+      await checkQuery(accessToken, args);
       const query = {
         model: args.model,
         view: args.explore,
@@ -580,6 +3221,7 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'query_url': {
+      await checkQuery(accessToken, args);
       const query = {
         model: args.model,
         view: args.explore,
@@ -592,10 +3234,12 @@ async function executeTool(toolName, args, accessToken) {
         vis_config: args.vis_config || {},
       };
       const createdQuery = await lookerApiCall(accessToken, 'POST', '/api/4.0/queries', query);
+      recordAuditQuery(options.audit, createdQuery);
+      const explorePath = apiPath`/explore/${args.model}/${args.explore}`;
       return {
         id: createdQuery.id,
         slug: createdQuery.slug,
-        url: `${LOOKER_BASE_URL}/explore/${args.model}/${args.explore}?qid=${createdQuery.slug}`,
+        url: `${LOOKER_BASE_URL}${explorePath}?qid=${createdQuery.slug}`,
         share_url: createdQuery.share_url,
       };
     }
@@ -612,24 +3256,12 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'run_dashboard': {
-      const elements = await lookerApiCall(accessToken, 'GET', `/api/4.0/dashboards/${args.dashboard_id}/dashboard_elements`);
-      const results = [];
-      for (const element of elements) {
-        if (element.query_id) {
-          try {
-            const result = await lookerApiCall(accessToken, 'GET', `/api/4.0/queries/${element.query_id}/run/json`);
-            results.push({ element_id: element.id, title: element.title, data: result });
-          } catch (e) {
-            results.push({ element_id: element.id, title: element.title, error: e.message });
-          }
-        }
-      }
-      return results;
+      return await runDashboard(accessToken, args, options);
     }
 
     case 'make_dashboard': {
       // Get user's personal folder
-      const me = await lookerApiCall(accessToken, 'GET', '/api/4.0/user');
+      const me = await getLookerUser(accessToken);
       const dashboard = await lookerApiCall(accessToken, 'POST', '/api/4.0/dashboards', {
         title: args.title,
         description: args.description || '',
@@ -643,6 +3275,8 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'add_dashboard_element': {
+      await checkQuery(accessToken, args);
+
       // First create the query
       const query = {
         model: args.model,
@@ -656,6 +3290,7 @@ async function executeTool(toolName, args, accessToken) {
         vis_config: args.vis_config || {},
       };
       const createdQuery = await lookerApiCall(accessToken, 'POST', '/api/4.0/queries', query);
+      recordAuditQuery(options.audit, createdQuery);
 
       // Then create the dashboard element
       const element = await lookerApiCall(accessToken, 'POST', '/api/4.0/dashboard_elements', {
@@ -679,13 +3314,26 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'run_look': {
-      const params = args.limit ? `?limit=${args.limit}` : '';
-      return await lookerApiCall(accessToken, 'GET', `/api/4.0/looks/${args.look_id}/run/json${params}`);
+      const cursor = args.cursor ? decodeCursor(args.cursor) : null;
+      let queryId = cursor?.query_id;
+      if (!queryId) {
+        const look = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/looks/${args.look_id}`, null, options);
+        queryId = look.query_id;
+        if (args.limit) {
+          const limitedQuery = await copyQuery(accessToken, look.query, { limit: args.limit.toString() }, options);
+          queryId = limitedQuery.id;
+        }
+      }
+      const results = await runQueryTask(accessToken, queryId, { ...options, label: `Look ${args.look_id}` });
+      const text = shapeQueryResult(results, args, { toolName: 'run_look', queryId, offset: cursor?.offset });
+      return withChart(accessToken, text, queryId, results, args);
     }
 
     case 'make_look': {
+      await checkQuery(accessToken, args);
+
       // Get user's personal folder
-      const me = await lookerApiCall(accessToken, 'GET', '/api/4.0/user');
+      const me = await getLookerUser(accessToken);
 
       // Create the query first
       const query = {
@@ -700,6 +3348,7 @@ async function executeTool(toolName, args, accessToken) {
         vis_config: args.vis_config || {},
       };
       const createdQuery = await lookerApiCall(accessToken, 'POST', '/api/4.0/queries', query);
+      recordAuditQuery(options.audit, createdQuery);
 
       // Create the look
       const look = await lookerApiCall(accessToken, 'POST', '/api/4.0/looks', {
@@ -715,25 +3364,30 @@ async function executeTool(toolName, args, accessToken) {
       };
     }
 
+    // ==================== Exports ====================
+    case 'export_content': {
+      return exportContent(accessToken, args, options);
+    }
+
     // ==================== Connections ====================
     case 'get_connections': {
       return await lookerApiCall(accessToken, 'GET', '/api/4.0/connections');
     }
 
     case 'get_connection_databases': {
-      return await lookerApiCall(accessToken, 'GET', `/api/4.0/connections/${args.connection_name}/databases`);
+      return await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/connections/${args.connection_name}/databases`);
     }
 
     case 'get_connection_schemas': {
       const params = args.database ? `?database=${encodeURIComponent(args.database)}` : '';
-      return await lookerApiCall(accessToken, 'GET', `/api/4.0/connections/${args.connection_name}/schemas${params}`);
+      return await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/connections/${args.connection_name}/schemas` + params);
     }
 
     case 'get_connection_tables': {
       const params = new URLSearchParams();
       if (args.database) params.append('database', args.database);
       if (args.schema) params.append('schema_name', args.schema);
-      const path = `/api/4.0/connections/${args.connection_name}/tables` + (params.toString() ? `?${params}` : '');
+      const path = apiPath`/api/4.0/connections/${args.connection_name}/tables` + (params.toString() ? `?${params}` : '');
       return await lookerApiCall(accessToken, 'GET', path);
     }
 
@@ -753,38 +3407,61 @@ async function executeTool(toolName, args, accessToken) {
     }
 
     case 'get_project_files': {
-      return await lookerApiCall(accessToken, 'GET', `/api/4.0/projects/${args.project_id}/files`);
+      return await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${args.project_id}/files`);
     }
 
     case 'get_project_file': {
-      return await lookerApiCall(accessToken, 'GET', `/api/4.0/projects/${args.project_id}/files/${encodeURIComponent(args.file_id)}`);
-    }
-
-    case 'create_project_file': {
-      return await lookerApiCall(accessToken, 'POST', `/api/4.0/projects/${args.project_id}/files`, {
-        path: args.file_name,
-        content: args.content,
-      });
+      const file = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${args.project_id}/files/${args.file_id}`);
+      return { ...file, version: fileVersion(file?.content) };
     }
 
+    case 'create_project_file':
     case 'update_project_file': {
-      return await lookerApiCall(accessToken, 'PATCH', `/api/4.0/projects/${args.project_id}/files/${encodeURIComponent(args.file_id)}`, {
-        content: args.content,
-      });
+      return await writeProjectFile(accessToken, toolName, args, options);
     }
 
     case 'delete_project_file': {
-      await lookerApiCall(accessToken, 'DELETE', `/api/4.0/projects/${args.project_id}/files/${encodeURIComponent(args.file_id)}`);
+      await lookerApiCall(accessToken, 'DELETE', apiPath`/api/4.0/projects/${args.project_id}/files/${args.file_id}`);
       return { success: true };
     }
 
     case 'dev_mode': {
-      const session = await lookerApiCall(accessToken, 'PATCH', '/api/4.0/session', {
+      const session = await withWorkspaceSwitch(accessToken, () => lookerApiCall(accessToken, 'PATCH', '/api/4.0/session', {
         workspace_id: args.enable ? 'dev' : 'production',
-      });
+      }, { workspaceSwitch: true }));
+      // Models and explores differ between workspaces
+      const me = await getLookerUser(accessToken);
+      invalidateUserMetadata(me.id);
       return { dev_mode: session.workspace_id === 'dev' };
     }
 
+    case 'list_branches': {
+      return await listBranches(accessToken, args.project_id, options);
+    }
+
+    case 'create_branch':
+    case 'checkout_branch': {
+      const body = toolName === 'create_branch' ? { name: args.name, ref: args.ref } : { name: args.name };
+      const branch = await withWorkspaceSwitch(accessToken, () => lookerApiCall(accessToken, toolName === 'create_branch' ? 'POST' : 'PUT',
+        apiPath`/api/4.0/projects/${args.project_id}/git_branch`, body, { ...options, workspaceSwitch: true }));
+      // The dev workspace's LookML now comes from the other branch
+      const me = await getLookerUser(accessToken);
+      invalidateUserMetadata(me.id);
+      return { project_id: args.project_id, branch: branch?.name ?? args.name, ref: branch?.ref };
+    }
+
+    case 'get_diff': {
+      return await getProjectDiff(accessToken, args, options);
+    }
+
+    case 'validate_lookml': {
+      return await validateLookml(accessToken, args.project_id, options);
+    }
+
+    case 'deploy_to_production': {
+      return await deployToProduction(accessToken, args, options);
+    }
+
     // ==================== Embedding ====================
     case 'generate_embed_url': {
       const body = {
@@ -812,11 +3489,11 @@ async function executeTool(toolName, args, accessToken) {
     case 'health_analyze': {
       const results = {};
       if (args.project) {
-        results.project = await lookerApiCall(accessToken, 'GET', `/api/4.0/projects/${args.project}`);
-        results.validation = await lookerApiCall(accessToken, 'POST', `/api/4.0/projects/${args.project}/validate`);
+        results.project = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${args.project}`);
+        results.validation = await lookerApiCall(accessToken, 'POST', apiPath`/api/4.0/projects/${args.project}/validate`, null, { timeoutMs: LOOKML_VALIDATION_TIMEOUT_MS });
       }
       if (args.model) {
-        results.model = await lookerApiCall(accessToken, 'GET', `/api/4.0/lookml_models/${args.model}`);
+        results.model = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/lookml_models/${args.model}`);
       }
       return results;
     }
@@ -827,7 +3504,7 @@ async function executeTool(toolName, args, accessToken) {
       try {
         results.content_usage = await lookerApiCall(accessToken, 'GET', '/api/4.0/content_metadata_access?limit=100');
         if (args.project) {
-          results.project_files = await lookerApiCall(accessToken, 'GET', `/api/4.0/projects/${args.project}/files`);
+          results.project_files = await lookerApiCall(accessToken, 'GET', apiPath`/api/4.0/projects/${args.project}/files`);
         }
       } catch (e) {
         results.error = e.message;
@@ -855,111 +3532,794 @@ async function executeTool(toolName, args, accessToken) {
   }
 }
 
-// Handle MCP JSON-RPC requests
-async function handleMcpRequest(req, res) {
-  const { method, params, id } = req.body;
+// ==================== Resources ====================
+
+// Explores are exposed as resources so clients can attach an explore's schema to a conversation
+// as context instead of the model rediscovering it through get_dimensions/get_measures calls
+const EXPLORE_URI_TEMPLATE = 'looker://model/{model}/explore/{explore}';
+const EXPLORE_URI_PATTERN = /^looker:\/\/model\/([^/]+)\/explore\/([^/]+)$/;
+const RESOURCES_PAGE_SIZE = 100;
+const RESOURCE_NOT_FOUND = -32002;
+
+const resourceTemplates = [
+  {
+    uriTemplate: EXPLORE_URI_TEMPLATE,
+    name: 'explore',
+    title: 'LookML explore field catalog',
+    description: 'Dimensions, measures, filters and parameters of a LookML explore, with descriptions and allowed filter values',
+    mimeType: 'text/markdown',
+  },
+];
+
+function exploreUri(model, explore) {
+  return `looker://model/${encodeURIComponent(model)}/explore/${encodeURIComponent(explore)}`;
+}
+
+function resourceNotFoundError(uri) {
+  const error = new Error(`Resource not found: ${uri}`);
+  error.code = RESOURCE_NOT_FOUND;
+  error.data = { uri };
+  return error;
+}
+
+// One resource per visible explore, paged with an offset cursor
+async function listResources(accessToken, cursor) {
+  const models = await cachedLookerGet(accessToken, '/api/4.0/lookml_models');
+  const resources = models.flatMap(model => (model.explores || [])
+    .filter(explore => !explore.hidden)
+    .map(explore => ({
+      uri: exploreUri(model.name, explore.name),
+      name: `${model.name}/${explore.name}`,
+      title: `${model.label || model.name}: ${explore.label || explore.name}`,
+      description: explore.description || undefined,
+      mimeType: 'text/markdown',
+    })));
+
+  let offset = 0;
+  if (cursor !== undefined) {
+    offset = Number.parseInt(Buffer.from(String(cursor), 'base64url').toString(), 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw invalidParamsError('Invalid cursor', { cursor });
+    }
+  }
+  const page = resources.slice(offset, offset + RESOURCES_PAGE_SIZE);
+  const next = offset + RESOURCES_PAGE_SIZE;
+  return next < resources.length
+    ? { resources: page, nextCursor: Buffer.from(String(next)).toString('base64url') }
+    : { resources: page };
+}
+
+// Values a filter on this field can take, where Looker knows them up front
+function allowedFilterValues(field) {
+  if (field.allowed_values?.length) {
+    return field.allowed_values.map(v => v.value);
+  }
+  if (field.enumerations?.length) {
+    return field.enumerations.map(e => e.value);
+  }
+  return field.suggestions?.length ? field.suggestions : null;
+}
+
+function catalogLine(field) {
+  const name = field.label_short || field.label;
+  let line = `- \`${field.name}\` (${field.type || 'string'})${name ? ` ${name}` : ''}`;
+  if (field.description) {
+    line += ` - ${field.description.replace(/\s+/g, ' ').trim()}`;
+  }
+  const values = allowedFilterValues(field);
+  if (values) {
+    const shown = values.slice(0, 20).map(v => `"${v}"`).join(', ');
+    line += `. Values: ${shown}${values.length > 20 ? `, ... (${values.length - 20} more)` : ''}`;
+  }
+  return line;
+}
+
+// A compact markdown catalog of an explore's fields; hidden fields are left out
+function exploreCatalog(model, explore) {
+  const lines = [`# ${explore.label || explore.name} (model: ${model}, explore: ${explore.name})`];
+  if (explore.description) {
+    lines.push('', explore.description.trim());
+  }
+  const sections = [
+    ['Dimensions', explore.fields?.dimensions],
+    ['Measures', explore.fields?.measures],
+    ['Filters', explore.fields?.filters],
+    ['Parameters', explore.fields?.parameters],
+  ];
+  for (const [heading, fields] of sections) {
+    const visible = (fields || []).filter(f => !f.hidden);
+    if (visible.length === 0) continue;
+    lines.push('', `## ${heading}`, ...visible.map(catalogLine));
+  }
+  if ((explore.fields?.dimensions || []).some(f => !f.hidden && (f.type?.startsWith('date') || f.type === 'time'))) {
+    lines.push('', 'Date fields take Looker filter expressions such as "7 days", "last month" or "2024-01-01 to 2024-02-01".');
+  }
+  return lines.join('\n');
+}
+
+async function readResource(accessToken, uri) {
+  const match = EXPLORE_URI_PATTERN.exec(uri || '');
+  if (!match) {
+    throw invalidParamsError(`Unsupported resource URI: ${uri}. Expected ${EXPLORE_URI_TEMPLATE}`, { uri });
+  }
+  const [model, exploreName] = match.slice(1).map(decodeURIComponent);
+  let explore;
+  try {
+    explore = await getExplore(accessToken, model, exploreName);
+  } catch (error) {
+    if (error instanceof LookerApiError && error.status === 404) {
+      throw resourceNotFoundError(uri);
+    }
+    throw error;
+  }
+  return {
+    contents: [{ uri, mimeType: 'text/markdown', text: exploreCatalog(model, explore) }],
+  };
+}
+
+// ==================== Prompts ====================
+
+// Curated analysis workflows, loaded from PROMPTS_FILE (prompts.json next to this file by default):
+//
+//   instructions           lines sent as the server instructions on initialize
+//   prompts[].name         prompt name, plus title and description for the client's prompt picker
+//   prompts[].arguments    [{ name, description, required, default }]
+//   prompts[].template     lines of the user message; {{arg}} inserts an argument,
+//                          {{#arg}}...{{/arg}} keeps text only if it is set, {{^arg}}...{{/arg}} only if not
+function loadPrompts() {
+  if (!existsSync(PROMPTS_FILE)) {
+    return { prompts: [] };
+  }
+  const config = JSON.parse(readFileSync(PROMPTS_FILE, 'utf8'));
+  const prompts = config.prompts || [];
+  for (const prompt of prompts) {
+    const declared = new Set((prompt.arguments || []).map(a => a.name));
+    for (const [, name] of [].concat(prompt.template).join('\n').matchAll(/\{\{[#^/]?(\w+)\}\}/g)) {
+      if (!declared.has(name)) {
+        console.warn(`[Prompts] Prompt ${prompt.name} uses undeclared argument: ${name}`);
+      }
+    }
+  }
+  console.log(`[Prompts] Loaded ${prompts.length} prompts from ${PROMPTS_FILE}`);
+  return {
+    instructions: [].concat(config.instructions || []).join('\n') || undefined,
+    prompts,
+  };
+}
+
+const promptConfig = loadPrompts();
+
+function renderPromptTemplate(template, values) {
+  return [].concat(template).join('\n')
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, kind, name, body) => ((kind === '#') === Boolean(values[name]) ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => values[name] ?? '');
+}
+
+function listPrompts() {
+  return {
+    prompts: promptConfig.prompts.map(prompt => ({
+      name: prompt.name,
+      title: prompt.title,
+      description: prompt.description,
+      arguments: (prompt.arguments || []).map(arg => ({
+        name: arg.name,
+        description: arg.default ? `${arg.description} (default: ${arg.default})` : arg.description,
+        required: Boolean(arg.required),
+      })),
+    })),
+  };
+}
+
+function getPrompt(name, args = {}) {
+  const prompt = promptConfig.prompts.find(p => p.name === name);
+  if (!prompt) {
+    throw invalidParamsError(`Unknown prompt: ${name}`, { prompt: name, available: promptConfig.prompts.map(p => p.name) });
+  }
+  const values = {};
+  const errors = [];
+  for (const arg of prompt.arguments || []) {
+    const value = args[arg.name] == null ? '' : String(args[arg.name]).trim();
+    if (value) {
+      values[arg.name] = value;
+    } else if (arg.default) {
+      values[arg.name] = arg.default;
+    } else if (arg.required) {
+      errors.push({ path: arg.name, message: 'is required' });
+    }
+  }
+  if (errors.length > 0) {
+    throw invalidParamsError(`Invalid arguments for prompt ${name}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`, { errors });
+  }
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: renderPromptTemplate(prompt.template, values) } }],
+  };
+}
+
+// ==================== Streamable HTTP transport ====================
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || '3600000', 10);
+const SSE_KEEPALIVE_MS = 25000;
+const ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(o => o.trim())
+  .filter(Boolean);
+
+// Active MCP sessions keyed by the Mcp-Session-Id we issued on initialize
+const sessions = new Map();
+
+function createSession(protocolVersion, clientInfo, accessToken, userId) {
+  const session = {
+    id: randomUUID(),
+    protocolVersion,
+    clientInfo,
+    // The session belongs to this Looker user; tokenFingerprint is the last token seen for them
+    userId,
+    tokenFingerprint: tokenFingerprint(accessToken),
+    createdAt: Date.now(),
+    lastSeenAt: Date.now(),
+    streams: new Set(),
+    // AbortControllers of requests still running, keyed by JSON-RPC id
+    inFlight: new Map(),
+  };
+  sessions.set(session.id, session);
+  console.log(`[MCP] Session ${session.id} created (${clientInfo?.name || 'unknown client'}, protocol ${protocolVersion})`);
+  return session;
+}
+
+function closeSession(session, reason) {
+  for (const controller of session.inFlight.values()) {
+    controller.abort(cancelledError(reason));
+  }
+  for (const stream of session.streams) {
+    stream.end();
+  }
+  session.streams.clear();
+  sessions.delete(session.id);
+  console.log(`[MCP] Session ${session.id} closed (${reason})`);
+}
+
+// Drop sessions that have not been used for a while
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+  for (const session of sessions.values()) {
+    if (session.lastSeenAt < cutoff && session.streams.size === 0) {
+      closeSession(session, 'idle timeout');
+    }
+  }
+}, 60000).unref();
+
+function jsonRpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+// Error that should abort the whole HTTP exchange with the given status
+function httpError(status, message, code = -32600) {
+  const error = new Error(message);
+  error.httpStatus = status;
+  error.code = code;
+  return error;
+}
+
+function sendHttpError(req, res, error, id = null) {
+  if (error.httpStatus === 401) {
+    res.set('WWW-Authenticate', wwwAuthenticateHeader(req, error.authError));
+  }
+  return res.status(error.httpStatus).json(jsonRpcError(id, error.code, error.message));
+}
+
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function openSseStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+  });
+  res.flushHeaders();
+}
 
-  // Get the access token from Authorization header
+function writeSseMessage(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function getAccessToken(req) {
   const authHeader = req.headers.authorization;
-  const accessToken = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  return authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+}
+
+// Reject cross-origin browser requests unless the origin is explicitly allowed
+function checkOrigin(req, res, next) {
+  const origin = req.headers.origin;
+  if (origin && ALLOWED_ORIGINS.length > 0 && !ALLOWED_ORIGINS.includes(origin)) {
+    return res.status(403).json(jsonRpcError(null, -32600, `Origin not allowed: ${origin}`));
+  }
+  next();
+}
+
+// Look up the session for a non-initialize request, as long as it is made by the session's user
+async function resolveSession(req) {
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) {
+    throw httpError(400, 'Missing Mcp-Session-Id header');
+  }
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw httpError(404, `Unknown or expired session: ${sessionId}`, -32001);
+  }
+
+  const protocolVersion = req.headers['mcp-protocol-version'];
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    throw httpError(400, `Unsupported MCP-Protocol-Version: ${protocolVersion}`);
+  }
 
-  console.log(`[MCP] ${method} - Auth: ${accessToken ? 'present' : 'missing'}`);
+  await checkSessionOwner(session, getAccessToken(req));
+  session.lastSeenAt = Date.now();
+  return session;
+}
 
+// A session id alone must not let anyone use, cancel or end someone else's session. The token
+// that created it is accepted as is; tokens are refreshed underneath a long-lived session, so
+// another token is accepted once Looker confirms it belongs to the same user.
+async function checkSessionOwner(session, accessToken) {
+  const fingerprint = tokenFingerprint(accessToken);
+  if (fingerprint && fingerprint === session.tokenFingerprint) {
+    return;
+  }
+  let user;
   try {
-    let result;
-
-    switch (method) {
-      case 'initialize':
-        if (!accessToken) {
-          return res.status(401).json({
-            jsonrpc: '2.0',
-            id,
-            error: {
-              code: -32600,
-              message: 'OAuth authentication required. Please authenticate with Looker.',
-            },
-          });
-        }
-        result = {
-          protocolVersion: '2025-06-18',
-          capabilities: {
-            tools: { listChanged: false },
-          },
-          serverInfo: {
-            name: 'looker-oauth-proxy',
-            version: '2.0.0',
-          },
-        };
-        break;
-
-      case 'notifications/initialized':
-        return res.json({ jsonrpc: '2.0', id, result: {} });
-
-      case 'ping':
-        result = {};
-        break;
-
-      case 'tools/list':
-        result = { tools };
-        break;
-
-      case 'tools/call':
-        if (!accessToken) {
-          return res.status(401).json({
-            jsonrpc: '2.0',
-            id,
-            error: {
-              code: -32600,
-              message: 'OAuth authentication required',
-            },
-          });
-        }
-        const toolResult = await executeTool(params.name, params.arguments || {}, accessToken);
-        result = {
-          content: [{ type: 'text', text: JSON.stringify(toolResult, null, 2) }],
-        };
-        break;
-
-      default:
-        return res.status(400).json({
-          jsonrpc: '2.0',
-          id,
-          error: {
-            code: -32601,
-            message: `Unknown method: ${method}`,
-          },
-        });
+    user = await withLookerAuth({ accessToken }, getLookerUser);
+  } catch (error) {
+    throw error.httpStatus ? error : httpError(503, `Could not check the session's user with Looker: ${error.message}`);
+  }
+  if (String(user.id) !== String(session.userId)) {
+    console.warn(`[MCP] Session ${session.id} was used with another user's token`);
+    throw httpError(403, 'This session belongs to a different user');
+  }
+  console.log(`[MCP] Session ${session.id} is now using a refreshed access token`);
+  session.tokenFingerprint = fingerprint;
+}
+
+// Requests other than tools/call report Looker failures as JSON-RPC errors, but a rejected token
+// still becomes a 401 so the client re-authenticates
+async function withLookerAuth(context, fn) {
+  if (!context.accessToken) {
+    throw authRequiredError('OAuth authentication required');
+  }
+  try {
+    return await fn(context.accessToken);
+  } catch (error) {
+    if (error instanceof LookerApiError && error.status === 401) {
+      throw authRequiredError(`Looker rejected the access token: ${error.lookerMessage}`, 'invalid_token');
     }
+    throw error;
+  }
+}
+
+// tools/call - validate, apply the tool policy, run the tool and audit the outcome
+async function callTool(params, context, request) {
+  const { accessToken } = context;
+  if (!accessToken) {
+    throw authRequiredError('OAuth authentication required');
+  }
+  const rawArgs = params?.arguments ?? {};
+  validateToolArguments(params?.name, rawArgs);
 
-    res.json({ jsonrpc: '2.0', id, result });
+  const audit = { tool: params.name, args: rawArgs, startedAt: Date.now(), queries: [] };
+  const policyResult = applyToolPolicy(params.name, rawArgs, accessToken);
+  if (policyResult) {
+    recordToolCall(context, audit, policyResult.isError ? 'denied' : 'dry_run', policyResult);
+    return policyResult;
+  }
+
+  const { confirmation_token: _token, ...args } = rawArgs;
+  let toolResult;
+  try {
+    toolResult = await executeTool(params.name, args, accessToken, {
+      signal: request.signal,
+      onProgress: request.onProgress,
+      audit,
+    });
   } catch (error) {
-    console.error(`[MCP] Error:`, error);
-    res.status(error.message.includes('401') ? 401 : 500).json({
+    if (request.signal.aborted) {
+      recordToolCall(context, audit, 'cancelled');
+      throw request.signal.reason;
+    }
+    // An expired or revoked token must reach the client as a 401 so it refreshes or re-authenticates;
+    // the session stays valid and the retried call can reuse it
+    if (error instanceof LookerApiError && error.status === 401) {
+      throw authRequiredError(`Looker rejected the access token: ${error.lookerMessage}`, 'invalid_token');
+    }
+    console.error(`[MCP] Tool ${params.name} failed:`, error.message);
+    const errorResult = toolErrorResult(error, params.name, args);
+    recordToolCall(context, audit, 'error', errorResult);
+    return errorResult;
+  }
+
+  // Query tools shape their own text (and may add a chart); everything else is returned as JSON
+  let content;
+  if (toolResult instanceof ToolContent) {
+    content = toolResult.content;
+  } else {
+    content = [{ type: 'text', text: typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult, null, 2) }];
+  }
+  const result = { content };
+  recordToolCall(context, audit, 'ok');
+  return result;
+}
+
+// Handle a single JSON-RPC request and return its result
+async function handleMcpMethod(method, params, context, request) {
+  const { accessToken } = context;
+
+  switch (method) {
+    case 'initialize': {
+      if (!accessToken) {
+        throw authRequiredError('OAuth authentication required. Please authenticate with Looker.');
+      }
+      const requested = params?.protocolVersion;
+      const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+      const user = await withLookerAuth(context, getLookerUser);
+      context.session = createSession(protocolVersion, params?.clientInfo, accessToken, user.id);
+      return {
+        protocolVersion,
+        capabilities: {
+          tools: { listChanged: false },
+          resources: { subscribe: false, listChanged: false },
+          prompts: { listChanged: false },
+        },
+        serverInfo: {
+          name: 'looker-oauth-proxy',
+          version: '2.0.0',
+        },
+        instructions: promptConfig.instructions,
+      };
+    }
+
+    case 'ping':
+      return {};
+
+    case 'tools/list':
+      return { tools: listAllowedTools() };
+
+    case 'tools/call':
+      return callTool(params, context, request);
+
+    case 'resources/list':
+      return withLookerAuth(context, accessToken => listResources(accessToken, params?.cursor));
+
+    case 'resources/templates/list':
+      return { resourceTemplates };
+
+    case 'resources/read':
+      return withLookerAuth(context, accessToken => readResource(accessToken, params?.uri));
+
+    case 'prompts/list':
+      return listPrompts();
+
+    case 'prompts/get':
+      return getPrompt(params?.name, params?.arguments);
+
+    default: {
+      const error = new Error(`Unknown method: ${method}`);
+      error.code = -32601;
+      throw error;
+    }
+  }
+}
+
+// Handle one JSON-RPC message; returns a response, or null for notifications and client responses
+async function handleMcpMessage(message, context) {
+  if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+    return jsonRpcError(message?.id, -32600, 'Invalid JSON-RPC message');
+  }
+
+  // Responses to server-initiated requests; nothing is waiting on them yet
+  if (!message.method) {
+    return null;
+  }
+
+  const isNotification = message.id === undefined;
+  if (isNotification) {
+    if (message.method === 'notifications/cancelled') {
+      cancelRequest(context.session, message.params);
+    } else {
+      console.log(`[MCP] notification ${message.method}`);
+    }
+    return null;
+  }
+
+  const controller = new AbortController();
+  const progressToken = message.params?._meta?.progressToken;
+  let progress = 0;
+  const request = {
+    id: message.id,
+    signal: controller.signal,
+    onProgress: progressToken === undefined ? undefined : (text) => context.notify({
       jsonrpc: '2.0',
-      id,
-      error: {
-        code: -32603,
-        message: error.message,
-      },
-    });
+      method: 'notifications/progress',
+      params: { progressToken, progress: ++progress, message: text },
+    }),
+  };
+
+  context.session?.inFlight.set(message.id, controller);
+  try {
+    const result = await handleMcpMethod(message.method, message.params, context, request);
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    if (error.httpStatus) {
+      throw error;
+    }
+    if (error.code !== -32800) {
+      console.error(`[MCP] Error:`, error);
+    }
+    return jsonRpcError(message.id, error.code || -32603, error.message, error.data);
+  } finally {
+    context.session?.inFlight.delete(message.id);
+  }
+}
+
+function cancelledError(reason) {
+  const error = new Error(`Request cancelled${reason ? `: ${reason}` : ''}`);
+  error.code = -32800;
+  return error;
+}
+
+// notifications/cancelled - abort the matching in-flight request (and with it any Looker query task)
+function cancelRequest(session, params) {
+  const controller = session?.inFlight.get(params?.requestId);
+  if (!controller) {
+    console.log(`[MCP] Cancellation for unknown or finished request ${params?.requestId}`);
+    return;
+  }
+  console.log(`[MCP] Cancelling request ${params.requestId}${params.reason ? ` (${params.reason})` : ''}`);
+  controller.abort(cancelledError(params.reason));
+}
+
+// POST /mcp - one JSON-RPC message or a batch
+async function handleMcpPost(req, res) {
+  const isBatch = Array.isArray(req.body);
+  const messages = isBatch ? req.body : [req.body];
+  const accessToken = getAccessToken(req);
+  const methods = messages.map(m => m?.method || 'response').join(', ');
+  const isInitialize = messages.some(m => m?.method === 'initialize');
+
+  console.log(`[MCP] ${methods} - Auth: ${accessToken ? 'present' : 'missing'}`);
+
+  if (messages.length === 0) {
+    return res.status(400).json(jsonRpcError(null, -32600, 'Empty batch'));
+  }
+
+  const context = { accessToken, session: null, notify: () => {} };
+  try {
+    if (isInitialize) {
+      if (messages.length > 1) {
+        throw httpError(400, 'initialize must not be sent as part of a batch');
+      }
+    } else {
+      context.session = await resolveSession(req);
+    }
+  } catch (error) {
+    return sendHttpError(req, res, error, req.body?.id);
+  }
+
+  const hasRequests = messages.some(m => m?.method && m.id !== undefined);
+  if (!hasRequests) {
+    await Promise.all(messages.map(m => handleMcpMessage(m, context)));
+    return res.status(202).end();
+  }
+
+  // The SSE stream is only opened once there is something to send, so an auth failure
+  // before the first progress notification can still be answered with a 401
+  const useSse = acceptsEventStream(req);
+  let streamOpen = false;
+  const send = (message) => {
+    if (!streamOpen) {
+      if (context.session) {
+        res.set('Mcp-Session-Id', context.session.id);
+      }
+      openSseStream(res);
+      streamOpen = true;
+    }
+    writeSseMessage(res, message);
+  };
+  context.notify = useSse ? send : () => {};
+
+  let responses;
+  try {
+    responses = (await Promise.all(messages.map(m => handleMcpMessage(m, context)))).filter(Boolean);
+  } catch (error) {
+    if (!streamOpen) {
+      return sendHttpError(req, res, error, req.body?.id);
+    }
+    send(jsonRpcError(req.body?.id, error.code, error.message));
+    return res.end();
+  }
+
+  if (!useSse) {
+    if (context.session) {
+      res.set('Mcp-Session-Id', context.session.id);
+    }
+    return res.json(isBatch ? responses : responses[0]);
+  }
+
+  for (const response of responses) {
+    send(response);
+  }
+  res.end();
+}
+
+// GET /mcp - long-lived stream for server-initiated messages
+async function handleMcpGet(req, res) {
+  if (!acceptsEventStream(req)) {
+    return res.status(406).json(jsonRpcError(null, -32600, 'GET /mcp requires Accept: text/event-stream'));
+  }
+
+  let session;
+  try {
+    session = await resolveSession(req);
+  } catch (error) {
+    return sendHttpError(req, res, error);
+  }
+
+  openSseStream(res);
+  session.streams.add(res);
+  console.log(`[MCP] Session ${session.id} opened event stream`);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    session.streams.delete(res);
+    session.lastSeenAt = Date.now();
+  });
+}
+
+// DELETE /mcp - client-initiated session termination
+async function handleMcpDelete(req, res) {
+  let session;
+  try {
+    session = await resolveSession(req);
+  } catch (error) {
+    return sendHttpError(req, res, error);
+  }
+  closeSession(session, 'terminated by client');
+  res.status(204).end();
+}
+
+// ==================== OAuth discovery ====================
+
+function publicUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function wwwAuthenticateHeader(req, authError) {
+  const params = [
+    `resource_metadata="${publicUrl(req)}/.well-known/oauth-protected-resource"`,
+    `scope="${LOOKER_OAUTH_SCOPE}"`,
+  ];
+  if (authError) {
+    params.unshift(`error="${authError}"`);
+  }
+  return `Bearer ${params.join(', ')}`;
+}
+
+// 401 carrying a WWW-Authenticate challenge; authError is set when a token was sent but rejected
+function authRequiredError(message, authError) {
+  const error = httpError(401, message);
+  error.authError = authError;
+  return error;
+}
+
+function tokenFingerprint(accessToken) {
+  return accessToken ? createHash('sha256').update(accessToken).digest('hex').slice(0, 12) : null;
+}
+
+// RFC 9728 protected resource metadata - points clients at our authorization server metadata
+function handleProtectedResourceMetadata(req, res) {
+  const baseUrl = publicUrl(req);
+  res.json({
+    resource: `${baseUrl}/mcp`,
+    authorization_servers: [baseUrl],
+    scopes_supported: [LOOKER_OAUTH_SCOPE],
+    bearer_methods_supported: ['header'],
+    resource_name: 'Looker (loveholidays)',
+    resource_documentation: `${LOOKER_BASE_URL}/`,
+  });
+}
+
+// RFC 8414 authorization server metadata. Looker does not publish its own, so we describe
+// the Looker instance's OAuth endpoints on its behalf.
+function handleAuthorizationServerMetadata(req, res) {
+  const baseUrl = publicUrl(req);
+  const metadata = {
+    issuer: baseUrl,
+    authorization_endpoint: `${LOOKER_BASE_URL}/auth`,
+    token_endpoint: `${LOOKER_BASE_URL}/api/token`,
+    scopes_supported: [LOOKER_OAUTH_SCOPE],
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    // Looker OAuth apps are public clients (no client_secret)
+    token_endpoint_auth_methods_supported: ['none'],
+    code_challenge_methods_supported: ['S256'],
+  };
+  if (LOOKER_OAUTH_CLIENT_ID) {
+    metadata.registration_endpoint = `${baseUrl}/oauth/register`;
   }
+  res.json(metadata);
+}
+
+// Dynamic client registration stand-in: Looker OAuth apps are registered by an admin, so every
+// client gets the pre-registered public client id. Its redirect URIs must be registered in Looker.
+function handleClientRegistration(req, res) {
+  const redirectUris = Array.isArray(req.body?.redirect_uris) ? req.body.redirect_uris : [];
+  console.log(`[OAuth] Client registration from ${req.body?.client_name || 'unknown client'}: ${redirectUris.join(', ')}`);
+  res.status(201).json({
+    client_id: LOOKER_OAUTH_CLIENT_ID,
+    client_id_issued_at: Math.floor(Date.now() / 1000),
+    client_name: req.body?.client_name,
+    redirect_uris: redirectUris,
+    grant_types: ['authorization_code', 'refresh_token'],
+    response_types: ['code'],
+    token_endpoint_auth_method: 'none',
+    scope: LOOKER_OAUTH_SCOPE,
+  });
 }
 
+app.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], handleProtectedResourceMetadata);
+app.get('/.well-known/oauth-authorization-server', handleAuthorizationServerMetadata);
+if (LOOKER_OAUTH_CLIENT_ID) {
+  app.post('/oauth/register', handleClientRegistration);
+}
+
+app.get('/audit', handleAuditQuery);
+
 // MCP endpoint
-app.post('/mcp', handleMcpRequest);
+app.post('/mcp', checkOrigin, handleMcpPost);
+app.get('/mcp', checkOrigin, handleMcpGet);
+app.delete('/mcp', checkOrigin, handleMcpDelete);
+
+// Malformed JSON bodies surface as JSON-RPC parse errors
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(jsonRpcError(null, -32700, 'Parse error'));
+  }
+  next(err);
+});
 
 // Health check
 app.get('/', (req, res) => {
+  const circuit = circuitBreakerFor(LOOKER_BASE_URL);
   res.json({
     status: 'ok',
     service: 'looker-oauth-proxy',
     version: '2.0.0',
     tools_count: tools.length,
+    tools_enabled: tools.filter(isToolEnabled).length,
+    read_only: !!toolPolicy.readOnly,
+    looker_circuit: {
+      state: circuit.state,
+      consecutive_failures: circuit.consecutiveFailures,
+      opened_at: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    },
+    sessions: sessions.size,
+    metadata_cache: {
+      entries: metadataCache.size,
+      ttl_ms: METADATA_CACHE_TTL_MS,
+      ...metadataCacheStats,
+    },
   });
 });
 
 app.listen(PORT, () => {
   console.log(`Looker OAuth Proxy running on port ${PORT}`);
   console.log(`Looker URL: ${LOOKER_BASE_URL}`);
-  console.log(`Tools available: ${tools.length}`);
+  console.log(`Tools available: ${tools.filter(isToolEnabled).length} of ${tools.length}${toolPolicy.readOnly ? ' (read-only mode)' : ''}`);
 });
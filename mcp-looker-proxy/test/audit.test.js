@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync } from 'node:fs';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startProxy } from './helpers.js';
+
+// A Looker with one Look whose query finishes on the first poll
+const looker = (req) => {
+  if (req.url === '/api/4.0/looks/7') {
+    return { status: 200, body: { id: '7', query_id: 'q1', query: { id: 'q1' } } };
+  }
+  if (req.url === '/api/4.0/queries/q1') {
+    return { status: 200, body: { id: 'q1', slug: 'AbC123' } };
+  }
+  if (req.method === 'POST' && req.url.startsWith('/api/4.0/query_tasks')) {
+    return { status: 200, body: { id: 't1' } };
+  }
+  if (req.url === '/api/4.0/query_tasks/t1/results') {
+    return { status: 200, body: [{ 'sales.total': 1 }] };
+  }
+};
+
+const OLD_ENTRIES = 2000;
+const oldEntryTime = i => new Date(Date.UTC(2026, 0, 1) + i * 60000).toISOString();
+let proxy;
+
+before(async () => {
+  proxy = await startProxy(looker, { AUDIT_ADMINS: 'alice@example.com' });
+  // Enough entries to span several read chunks, and a line cut short by a crash
+  const lines = Array.from({ length: OLD_ENTRIES }, (_, i) =>
+    JSON.stringify({ ts: oldEntryTime(i), user: { id: 'bob', email: 'bob@example.com' }, tool: 'query', args: { n: i, note: 'café' } }));
+  appendFileSync(proxy.auditLogFile, `${lines.join('\n')}\n{"ts":"2026-01-02T00:00:00.000Z","tool":"qu\n`);
+});
+
+after(() => proxy?.close());
+
+const readAudit = async (query, token = 'alice-1') => {
+  const response = await fetch(`${proxy.baseUrl}/audit?${new URLSearchParams(query)}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('the audit entry of a query records its slug', async () => {
+  const session = { token: 'alice-1', sessionId: await proxy.initialize('alice-1') };
+  const message = await proxy.rpc(session, 'tools/call', { name: 'run_look', arguments: { look_id: '7' } });
+  assert.equal(message.result.isError, undefined);
+
+  let entries = [];
+  for (let i = 0; i < 50 && entries.length === 0; i++) {
+    await sleep(20);
+    ({ entries } = (await readAudit({ tool: 'run_look' })).body);
+  }
+  assert.deepEqual(entries[0].queries, [{ query_id: 'q1', slug: 'AbC123', row_count: 1 }]);
+});
+
+test('/audit returns the most recent matching entries, oldest first', async () => {
+  const { status, body } = await readAudit({ tool: 'query', limit: '3' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.entries.map(e => e.args.n), [OLD_ENTRIES - 3, OLD_ENTRIES - 2, OLD_ENTRIES - 1]);
+  assert.equal(body.entries[0].args.note, 'café');
+});
+
+test('/audit stops reading at the from time', async () => {
+  const { body } = await readAudit({ user: 'bob@example.com', from: oldEntryTime(OLD_ENTRIES - 2) });
+  assert.deepEqual(body.entries.map(e => e.args.n), [OLD_ENTRIES - 2, OLD_ENTRIES - 1]);
+});
+
+test('/audit is only for audit admins', async () => {
+  const { status } = await readAudit({}, 'bob-1');
+  assert.equal(status, 403);
+});
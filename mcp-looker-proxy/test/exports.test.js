@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startProxy } from './helpers.js';
+
+// A Looker whose dashboard render never finishes, with a render query running for two users
+const looker = (req) => {
+  if (req.url === '/api/4.0/dashboards/5') {
+    return { status: 200, body: { id: '5', title: 'Sales', dashboard_filters: [] } };
+  }
+  if (req.method === 'POST' && req.url.startsWith('/api/4.0/render_tasks/dashboards/5/pdf')) {
+    return { status: 200, body: { id: 'r1', status: 'enqueued_for_query' } };
+  }
+  if (req.url === '/api/4.0/render_tasks/r1') {
+    return { status: 200, body: { id: 'r1', status: 'rendering' } };
+  }
+  if (req.url === '/api/4.0/running_queries') {
+    const created_at = new Date().toISOString();
+    return {
+      status: 200,
+      body: [
+        { query_task_id: 'qt-alice', user: { id: 'alice' }, source: 'render_manager', created_at },
+        { query_task_id: 'qt-bob', user: { id: 'bob' }, source: 'render_manager', created_at },
+      ],
+    };
+  }
+  if (req.method === 'DELETE') {
+    return { status: 200, body: {} };
+  }
+};
+
+let proxy;
+let session;
+
+before(async () => {
+  proxy = await startProxy(looker);
+  session = { token: 'alice-1', sessionId: await proxy.initialize('alice-1') };
+});
+
+after(() => proxy?.close());
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) await sleep(20);
+};
+
+test("a cancelled export kills its render task's queries", async () => {
+  const call = proxy.rpc(session, 'tools/call', { name: 'export_content', arguments: { dashboard_id: '5', format: 'pdf' } });
+  await waitFor(() => proxy.lookerRequests.includes('GET /api/4.0/render_tasks/r1'));
+  await proxy.request('POST', { ...session, message: { method: 'notifications/cancelled', params: { requestId: 2 } } });
+
+  const message = await call;
+  assert.match(message.error.message, /Request cancelled/);
+  await waitFor(() => proxy.lookerRequests.some(r => r.startsWith('DELETE ')));
+  assert.deepEqual(proxy.lookerRequests.filter(r => r.startsWith('DELETE ')), ['DELETE /api/4.0/running_queries/qt-alice']);
+});
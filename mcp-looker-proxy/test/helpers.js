@@ -0,0 +1,81 @@
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Starts the proxy against a stand-in Looker that records every request it gets. Tokens name
+// their user before the first dash ("alice-1" and "alice-2" are both alice's). Other Looker
+// requests are answered by `handleLooker(req, body)` with { status, body }, or a 404. `env`
+// adds to the proxy's environment.
+export async function startProxy(handleLooker = () => undefined, env = {}) {
+  const lookerRequests = [];
+  const looker = createServer(async (req, res) => {
+    lookerRequests.push(`${req.method} ${req.url}`);
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const token = req.headers.authorization?.replace(/^Bearer /, '') || '';
+    const reply = req.method === 'GET' && req.url === '/api/4.0/user'
+      ? { status: 200, body: { id: token.split('-')[0], email: `${token.split('-')[0]}@example.com`, display_name: token } }
+      : handleLooker(req, body && JSON.parse(body)) ?? { status: 404, body: { message: 'Not found' } };
+    res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply.body));
+  });
+  looker.listen(0, '127.0.0.1');
+  await once(looker, 'listening');
+
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const auditDir = mkdtempSync(join(tmpdir(), 'mcp-looker-proxy-'));
+  const auditLogFile = join(auditDir, 'tool-calls.jsonl');
+  const proxy = spawn(process.execPath, ['server.js'], {
+    cwd: new URL('..', import.meta.url).pathname,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOOKER_BASE_URL: `http://127.0.0.1:${looker.address().port}`,
+      AUDIT_LOG_FILE: auditLogFile,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    proxy.once('exit', code => reject(new Error(`proxy exited with code ${code}`)));
+    proxy.stdout.on('data', chunk => String(chunk).includes('running on port') && resolve());
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // One HTTP request to /mcp, with a JSON-RPC message as its body if one is given
+  const request = (method, { token, sessionId, message } = {}) => fetch(`${baseUrl}/mcp`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(sessionId && { 'Mcp-Session-Id': sessionId }),
+    },
+    body: message && JSON.stringify({ jsonrpc: '2.0', ...message }),
+  });
+
+  const initialize = async (token) => {
+    const response = await request('POST', {
+      token,
+      message: { id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test' } } },
+    });
+    return response.headers.get('mcp-session-id');
+  };
+
+  const rpc = async (session, method, params) => {
+    const response = await request('POST', { ...session, message: { id: 2, method, params } });
+    return response.json();
+  };
+
+  const close = () => {
+    proxy.kill();
+    looker.close();
+    rmSync(auditDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, auditLogFile, lookerRequests, request, initialize, rpc, close };
+}
@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProxy } from './helpers.js';
+
+let proxy;
+
+before(async () => {
+  proxy = await startProxy();
+});
+
+after(() => proxy?.close());
+
+test("another user's token cannot end a session", async () => {
+  const sessionId = await proxy.initialize('alice-1');
+
+  const withoutToken = await proxy.request('DELETE', { sessionId });
+  assert.equal(withoutToken.status, 401);
+  const otherUser = await proxy.request('DELETE', { token: 'bob-1', sessionId });
+  assert.equal(otherUser.status, 403);
+
+  const ping = await proxy.rpc({ token: 'alice-1', sessionId }, 'ping');
+  assert.deepEqual(ping.result, {});
+});
+
+test("another user's token cannot cancel a session's requests", async () => {
+  const sessionId = await proxy.initialize('alice-1');
+  const cancel = await proxy.request('POST', {
+    token: 'bob-1',
+    sessionId,
+    message: { method: 'notifications/cancelled', params: { requestId: 2 } },
+  });
+  assert.equal(cancel.status, 403);
+});
+
+test('a refreshed token of the same user keeps the session', async () => {
+  const sessionId = await proxy.initialize('alice-1');
+  const ping = await proxy.rpc({ token: 'alice-2', sessionId }, 'ping');
+  assert.deepEqual(ping.result, {});
+
+  const ended = await proxy.request('DELETE', { token: 'alice-2', sessionId });
+  assert.equal(ended.status, 204);
+});
@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProxy } from './helpers.js';
+
+let proxy;
+let session;
+const lookerWrites = () => proxy.lookerRequests.filter(r => !r.startsWith('GET '));
+
+before(async () => {
+  proxy = await startProxy();
+  session = { token: 'alice-1', sessionId: await proxy.initialize('alice-1') };
+});
+
+after(() => proxy?.close());
+
+for (const [name, args] of [
+  ['delete_project_file', { project_id: 'p', file_id: 'x.lkml' }],
+  ['deploy_to_production', { project_id: 'p' }],
+]) {
+  test(`${name} needs confirmation even when called with dry_run`, async () => {
+    const message = await proxy.rpc(session, 'tools/call', { name, arguments: { ...args, dry_run: true } });
+    assert.ok(message.error, `expected ${name} to reject the undeclared dry_run argument`);
+    assert.match(message.error.message, /dry_run is not a known property/);
+
+    const dryRun = await proxy.rpc(session, 'tools/call', { name, arguments: args });
+    assert.match(dryRun.result.content[0].text, /Dry run only - nothing was changed/);
+    assert.deepEqual(lookerWrites(), []);
+  });
+}
+
+test('create_project_file skips confirmation for its own dry run', async () => {
+  const message = await proxy.rpc(session, 'tools/call', {
+    name: 'create_project_file',
+    arguments: { project_id: 'p', file_name: 'new.view.lkml', content: 'view: new {}', dry_run: true },
+  });
+  assert.equal(JSON.parse(message.result.content[0].text).dry_run, true);
+  assert.deepEqual(lookerWrites(), []);
+});
@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProxy } from './helpers.js';
+
+// A Looker whose production file reads fail and whose session can't be switched back to dev
+let workspace = 'dev';
+const looker = (req, body) => {
+  if (req.url === '/api/4.0/session') {
+    if (req.method === 'PATCH') {
+      if (body.workspace_id === 'dev' && workspace === 'production') {
+        return { status: 403, body: { message: 'Switching back is not allowed' } };
+      }
+      workspace = body.workspace_id;
+    }
+    return { status: 200, body: { workspace_id: workspace } };
+  }
+  if (req.url === '/api/4.0/projects/p/files') {
+    return { status: 200, body: [{ id: 'a.view.lkml', git_status: { action: 'modified' } }] };
+  }
+  if (req.url === '/api/4.0/projects/p/files/a.view.lkml') {
+    return workspace === 'dev'
+      ? { status: 200, body: { content: 'view: a {}' } }
+      : { status: 500, body: { message: 'Production read failed' } };
+  }
+};
+
+let proxy;
+let session;
+
+before(async () => {
+  proxy = await startProxy(looker);
+  session = { token: 'alice-1', sessionId: await proxy.initialize('alice-1') };
+});
+
+after(() => proxy?.close());
+
+test("get_diff reports Looker's error when switching back to dev also fails", async () => {
+  const message = await proxy.rpc(session, 'tools/call', { name: 'get_diff', arguments: { project_id: 'p' } });
+  assert.equal(message.result.isError, true);
+  assert.match(message.result.content[0].text, /Production read failed/);
+  assert.ok(proxy.lookerRequests.includes('PATCH /api/4.0/session'));
+});